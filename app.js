@@ -1,6 +1,8 @@
 import { handleRequest } from "./lib/router.js";
-import { getSiteByHost, invalidateSitesCache } from "./lib/sites.js";
-import { DATA_DIR, TRUST_PROXY } from "./lib/config.js";
+import { resolveSiteHost, watchSites } from "./lib/sites.js";
+import { getRelease } from "./lib/deploys.js";
+import { isApiRequest, handleApi } from "./lib/api.js";
+import { DATA_DIR, TRUST_PROXY, isDev } from "./lib/config.js";
 
 // Simple rate limiter (in-memory)
 const rateLimits = new Map();
@@ -25,6 +27,18 @@ function checkRateLimit(ip) {
   return true;
 }
 
+function isRateLimited(ip) {
+  const record = rateLimits.get(ip);
+  return Boolean(record) && Date.now() - record.start <= RATE_LIMIT_WINDOW && record.count >= RATE_LIMIT_MAX;
+}
+
+function tooManyRequests() {
+  return Response.json(
+    { error: "Too many requests, please try again later." },
+    { status: 429 }
+  );
+}
+
 function isLoopback(ip) {
   return ip === "127.0.0.1" || ip === "::1" || ip === "::ffff:127.0.0.1";
 }
@@ -41,10 +55,8 @@ function parseForwardedFor(value) {
   return first || null;
 }
 
-function getClientIp(req, server) {
-  const peerIp = server?.requestIP?.(req)?.address || "unknown";
-
-  if (!shouldTrustForwardedHeaders(peerIp)) {
+function getClientIp(req, peerIp, trustProxy) {
+  if (!trustProxy) {
     return peerIp;
   }
 
@@ -65,16 +77,21 @@ setInterval(() => {
 }, 60000).unref();
 
 export async function createHandler() {
+  // Production caches config; pick up external edits to sites.json and site.json
+  if (!isDev) {
+    watchSites(DATA_DIR);
+  }
+
   return async function fetch(req, server) {
     const url = new URL(req.url);
-    const ip = getClientIp(req, server);
-
-    // Rate limiting
-    if (!RATE_LIMIT_EXEMPT_PATHS.has(url.pathname) && !checkRateLimit(ip)) {
-      return Response.json(
-        { error: "Too many requests, please try again later." },
-        { status: 429 }
-      );
+    const peerIp = server?.requestIP?.(req)?.address || "unknown";
+    const trustProxy = shouldTrustForwardedHeaders(peerIp);
+    const ip = getClientIp(req, peerIp, trustProxy);
+
+    // Rate limiting (the API is limited on failed authentication instead, below)
+    const isApi = isApiRequest(url);
+    if (!RATE_LIMIT_EXEMPT_PATHS.has(url.pathname) && !isApi && !checkRateLimit(ip)) {
+      return tooManyRequests();
     }
 
     // Health check (any host)
@@ -93,17 +110,32 @@ export async function createHandler() {
       if (!domain) {
         return new Response("Missing domain parameter", { status: 400 });
       }
-      // Invalidate cache to always check fresh sites.json
-      invalidateSitesCache();
-      const site = await getSiteByHost(DATA_DIR, domain);
-      return new Response(site ? "OK" : "Not found", {
-        status: site?.enabled ? 200 : 404,
+      const resolved = await resolveSiteHost(DATA_DIR, domain);
+      let allowed = Boolean(resolved?.site.enabled);
+      if (allowed && resolved.releaseId) {
+        allowed = Boolean(await getRelease(DATA_DIR, resolved.host, resolved.releaseId));
+      }
+      return new Response(allowed ? "OK" : "Not found", {
+        status: allowed ? 200 : 404,
       });
     }
 
     // Main request handler
     try {
-      return await handleRequest(req, { dataDir: DATA_DIR, clientIp: ip });
+      // Built-in API (any host)
+      // Authenticated calls aren't limited: a deploy uploads one blob per changed file
+      if (isApi) {
+        if (isRateLimited(ip)) {
+          return tooManyRequests();
+        }
+        const response = await handleApi(req, { dataDir: DATA_DIR });
+        if (response.status === 401) {
+          checkRateLimit(ip);
+        }
+        return response;
+      }
+
+      return await handleRequest(req, { dataDir: DATA_DIR, clientIp: ip, peerIp, trustProxy });
     } catch (err) {
       console.error("Request error:", err);
       return new Response("Internal Server Error", { status: 500 });
@@ -0,0 +1,80 @@
+#!/usr/bin/env bun
+/**
+ * BunPaaS maintenance commands
+ *
+ *   bun run cli.js generate-master-key   Print a new random master key
+ *   bun run cli.js encrypt-secrets       Encrypt env values in sites.json in place
+ *   bun run cli.js routes <host> [id]    Print a release's function routes in match order
+ *
+ * Uses the same environment as the server (BUNPAAS_DATA_DIR, BUNPAAS_MASTER_KEY, ...).
+ */
+
+import { randomBytes } from "crypto";
+import { DATA_DIR } from "./lib/config.js";
+import { modifySites, getSiteByHost } from "./lib/sites.js";
+import { getReleaseRoutes } from "./lib/deploys.js";
+import { hasMasterKey, isEncrypted } from "./lib/secrets.js";
+
+const COMMANDS = {
+  "generate-master-key": generateMasterKey,
+  "encrypt-secrets": encryptSecrets,
+  routes: printRoutes,
+};
+
+async function generateMasterKey() {
+  console.log(randomBytes(32).toString("hex"));
+}
+
+async function encryptSecrets() {
+  if (!hasMasterKey()) {
+    console.error("No master key configured. Set BUNPAAS_MASTER_KEY or BUNPAAS_MASTER_KEY_FILE.");
+    process.exit(1);
+  }
+
+  // Saving encrypts every plaintext value; the lock keeps a running server's writes intact
+  const count = await modifySites(DATA_DIR, (data) => {
+    let plaintext = 0;
+    for (const site of Object.values(data.sites)) {
+      plaintext += Object.values(site.env || {}).filter((value) => !isEncrypted(value)).length;
+    }
+    return plaintext;
+  });
+  console.log(`Encrypted ${count} env value(s) in ${DATA_DIR}/sites.json`);
+}
+
+async function printRoutes(host, releaseId) {
+  if (!host) {
+    console.error("Usage: bun run cli.js routes <host> [release-id]");
+    process.exit(1);
+  }
+  if (!(await getSiteByHost(DATA_DIR, host))) {
+    console.error(`Site ${host} not found`);
+    process.exit(1);
+  }
+
+  const { release, routes } = await getReleaseRoutes(DATA_DIR, host, releaseId || null);
+  console.log(`Routes for ${host}${release ? ` (release ${release})` : ""}:`);
+  if (routes.length === 0) {
+    console.log("  (no functions)");
+    return;
+  }
+
+  const width = Math.max(...routes.map((r) => r.route.length));
+  for (const { route, file, middleware } of routes) {
+    const through = middleware.length > 0 ? `  [${middleware.join(" > ")}]` : "";
+    console.log(`  ${route.padEnd(width)}  _functions/${file}${through}`);
+  }
+}
+
+const [command, ...args] = process.argv.slice(2);
+const run = COMMANDS[command];
+
+if (!run) {
+  console.error(`Usage: bun run cli.js <${Object.keys(COMMANDS).join("|")}> [args]`);
+  process.exit(1);
+}
+
+run(...args).catch((err) => {
+  console.error(`${command} failed:`, err.status ? err.message : err);
+  process.exit(1);
+});
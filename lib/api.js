@@ -0,0 +1,371 @@
+import crypto from "crypto";
+import {
+  getSites,
+  getSiteByHost,
+  createSite,
+  updateSite,
+  deleteSite,
+  updateSiteEnv,
+  patchSiteEnv,
+  rotateDeployKey,
+  getApiKey,
+  validateAliases,
+} from "./sites.js";
+import { getRequestLogs, getDeployLogs } from "./logs.js";
+import { maskEnv } from "./secrets.js";
+import {
+  deploy,
+  deployManifest,
+  findMissingBlobs,
+  storeBlob,
+  listReleases,
+  switchRelease,
+  getReleaseRoutes,
+} from "./deploys.js";
+import { httpError } from "./errors.js";
+import { MAX_DEPLOY_BYTES } from "./config.js";
+import { readBody } from "./body.js";
+
+export const API_PREFIX = "/_bunpaas/api/v1";
+
+// [method, pattern, auth, handler] - first match wins
+// auth: "admin" needs X-API-Key; "deploy" accepts the site's X-Deploy-Key or X-API-Key
+const ROUTES = [
+  ["GET", /^\/sites$/, "admin", handleListSites],
+  ["POST", /^\/sites$/, "admin", handleCreateSite],
+  ["GET", /^\/sites\/([^/]+)$/, "admin", handleGetSite],
+  ["PATCH", /^\/sites\/([^/]+)$/, "admin", handleUpdateSite],
+  ["DELETE", /^\/sites\/([^/]+)$/, "admin", handleDeleteSite],
+  ["POST", /^\/sites\/([^/]+)\/enable$/, "admin", (req, ctx) => setEnabled(ctx, true)],
+  ["POST", /^\/sites\/([^/]+)\/disable$/, "admin", (req, ctx) => setEnabled(ctx, false)],
+  ["GET", /^\/sites\/([^/]+)\/env$/, "admin", handleGetEnv],
+  ["PUT", /^\/sites\/([^/]+)\/env$/, "admin", handleReplaceEnv],
+  ["PATCH", /^\/sites\/([^/]+)\/env$/, "admin", handlePatchEnv],
+  ["POST", /^\/sites\/([^/]+)\/deploy-key$/, "admin", handleRotateDeployKey],
+  ["GET", /^\/sites\/([^/]+)\/logs\/(requests|deploys)$/, "admin", handleGetLogs],
+  ["POST", /^\/sites\/([^/]+)\/deploys$/, "deploy", handleDeploy],
+  ["GET", /^\/sites\/([^/]+)\/deploys$/, "deploy", handleListReleases],
+  ["POST", /^\/sites\/([^/]+)\/deploys\/manifest$/, "deploy", handleManifest],
+  ["POST", /^\/sites\/([^/]+)\/deploys\/([^/]+)\/activate$/, "deploy", handleActivate],
+  ["GET", /^\/sites\/([^/]+)\/routes$/, "deploy", handleListRoutes],
+  ["PUT", /^\/sites\/([^/]+)\/blobs\/([^/]+)$/, "deploy", handleBlobUpload],
+];
+
+/**
+ * Check whether a request targets the built-in API (served on any host)
+ */
+export function isApiRequest(url) {
+  return url.pathname.startsWith(API_PREFIX + "/");
+}
+
+/**
+ * Handle a built-in API request - always returns a JSON Response
+ */
+export async function handleApi(req, options) {
+  const { dataDir } = options;
+  const url = new URL(req.url);
+  const route = url.pathname.slice(API_PREFIX.length);
+
+  let pathMatched = false;
+
+  for (const [method, pattern, auth, handler] of ROUTES) {
+    const match = route.match(pattern);
+    if (!match) continue;
+
+    pathMatched = true;
+    if (req.method !== method) continue;
+
+    try {
+      const params = match.slice(1).map(decodeParam);
+
+      const authError = await checkAuth(req, dataDir, auth, params[0]);
+      if (authError) return authError;
+
+      return await handler(req, { dataDir, url, params });
+    } catch (err) {
+      if (!err.status) {
+        console.error("API error:", err);
+      }
+      return jsonError(err.status ? err.message : "Internal Server Error", err.status || 500, err.details);
+    }
+  }
+
+  return pathMatched ? jsonError("Method not allowed", 405) : jsonError("Not found", 404);
+}
+
+/**
+ * GET /sites - all sites (without secrets)
+ */
+async function handleListSites(req, { dataDir }) {
+  const sites = await getSites(dataDir);
+  return Response.json({
+    sites: Object.entries(sites).map(([host, site]) => toPublicSite(host, site)),
+  });
+}
+
+/**
+ * POST /sites - create a site; the response is the only time its deploy key is returned
+ */
+async function handleCreateSite(req, { dataDir }) {
+  const { host, env, enabled } = await readJson(req);
+  const site = await createSite(dataDir, host, {
+    env: env === undefined ? undefined : parseEnv(env),
+    enabled: enabled === undefined ? undefined : Boolean(enabled),
+  });
+  return Response.json({ ...toPublicSite(host, site), deployKey: site.deployKey }, { status: 201 });
+}
+
+/**
+ * GET /sites/:host
+ */
+async function handleGetSite(req, { dataDir, params }) {
+  const [host] = params;
+  return Response.json(toPublicSite(host, await requireSite(dataDir, host)));
+}
+
+/**
+ * PATCH /sites/:host - update aliases, canonicalRedirect or keepReleases
+ */
+async function handleUpdateSite(req, { dataDir, params }) {
+  const [host] = params;
+  const body = await readJson(req);
+  await requireSite(dataDir, host);
+
+  const updates = {};
+  if (body.aliases !== undefined) {
+    updates.aliases = await validateAliases(dataDir, host, body.aliases);
+  }
+  if (body.canonicalRedirect !== undefined) {
+    updates.canonicalRedirect = Boolean(body.canonicalRedirect);
+  }
+  if (body.keepReleases !== undefined) {
+    if (!Number.isInteger(body.keepReleases) || body.keepReleases < 1) {
+      throw httpError("keepReleases must be a positive integer");
+    }
+    updates.keepReleases = body.keepReleases;
+  }
+
+  return Response.json(toPublicSite(host, await updateSite(dataDir, host, updates)));
+}
+
+/**
+ * DELETE /sites/:host - removes the site from sites.json (its files are left on disk)
+ */
+async function handleDeleteSite(req, { dataDir, params }) {
+  const [host] = params;
+  return Response.json(await deleteSite(dataDir, host));
+}
+
+/**
+ * POST /sites/:host/enable, POST /sites/:host/disable
+ */
+async function setEnabled({ dataDir, params }, enabled) {
+  const [host] = params;
+  return Response.json(toPublicSite(host, await updateSite(dataDir, host, { enabled })));
+}
+
+/**
+ * GET /sites/:host/env - env vars are write-only, so values come back masked
+ */
+async function handleGetEnv(req, { dataDir, params }) {
+  const [host] = params;
+  const site = await requireSite(dataDir, host);
+  return Response.json({ env: maskEnv(site.env) });
+}
+
+/**
+ * PUT /sites/:host/env - replace all env vars
+ */
+async function handleReplaceEnv(req, { dataDir, params }) {
+  const [host] = params;
+  const { env } = await readJson(req);
+  return Response.json({ env: maskEnv(await updateSiteEnv(dataDir, host, parseEnv(env))) });
+}
+
+/**
+ * PATCH /sites/:host/env - set individual env vars; null removes one
+ */
+async function handlePatchEnv(req, { dataDir, params }) {
+  const [host] = params;
+  const { env: changes } = await readJson(req);
+  const env = await patchSiteEnv(dataDir, host, parseEnv(changes, { allowNull: true }));
+  return Response.json({ env: maskEnv(env) });
+}
+
+/**
+ * POST /sites/:host/deploy-key - issue a new deploy key (the old one stops working)
+ */
+async function handleRotateDeployKey(req, { dataDir, params }) {
+  const [host] = params;
+  return Response.json({ deployKey: await rotateDeployKey(dataDir, host) });
+}
+
+/**
+ * GET /sites/:host/logs/requests, GET /sites/:host/logs/deploys
+ */
+async function handleGetLogs(req, { dataDir, params }) {
+  const [host, kind] = params;
+  await requireSite(dataDir, host);
+  const logs = kind === "requests" ? await getRequestLogs(host) : await getDeployLogs(host);
+  return Response.json({ logs });
+}
+
+/**
+ * POST /sites/:host/deploys - upload an archive and activate it
+ * A JSON body { files: { path: sha256 } } deploys from previously uploaded blobs instead.
+ * ?preview=true stages it at <id>--<host> instead; ?expiresIn=<seconds> sets a preview expiry
+ */
+async function handleDeploy(req, { dataDir, url, params }) {
+  const [host] = params;
+
+  const options = {
+    deployedBy: req.headers.get("x-deployed-by") || (req.headers.get("x-deploy-key") ? "deploy-key" : "api-key"),
+    preview: url.searchParams.get("preview") === "true",
+    expiresIn: Number(url.searchParams.get("expiresIn")) || null,
+  };
+
+  if ((req.headers.get("content-type") || "").includes("application/json")) {
+    const { files } = await readJson(req);
+    const result = await deployManifest(dataDir, host, files, options);
+    return Response.json(result, { status: 201 });
+  }
+
+  const archive = await readBody(req, MAX_DEPLOY_BYTES);
+
+  const result = await deploy(dataDir, host, archive, options);
+  return Response.json(result, { status: 201 });
+}
+
+/**
+ * POST /sites/:host/deploys/manifest - report which blobs still need uploading
+ */
+async function handleManifest(req, { dataDir, params }) {
+  const [host] = params;
+  await requireSite(dataDir, host);
+
+  const { files } = await readJson(req);
+  return Response.json({ missing: await findMissingBlobs(dataDir, host, files) });
+}
+
+/**
+ * PUT /sites/:host/blobs/:sha256 - upload one file's content
+ */
+async function handleBlobUpload(req, { dataDir, params }) {
+  const [host, hash] = params;
+  await requireSite(dataDir, host);
+
+  const data = await readBody(req, MAX_DEPLOY_BYTES);
+
+  const result = await storeBlob(dataDir, host, hash, data);
+  return Response.json(result, { status: result.stored ? 201 : 200 });
+}
+
+/**
+ * GET /sites/:host/deploys - release history, newest first
+ */
+async function handleListReleases(req, { dataDir, params }) {
+  const [host] = params;
+  await requireSite(dataDir, host);
+
+  return Response.json({ releases: await listReleases(dataDir, host) });
+}
+
+/**
+ * POST /sites/:host/deploys/:id/activate - roll back to a release or promote a preview
+ */
+async function handleActivate(req, { dataDir, params }) {
+  const [host, releaseId] = params;
+
+  return Response.json(await switchRelease(dataDir, host, releaseId));
+}
+
+/**
+ * GET /sites/:host/routes - function route table of the active release (?release=<id> for another)
+ */
+async function handleListRoutes(req, { dataDir, url, params }) {
+  const [host] = params;
+  await requireSite(dataDir, host);
+
+  return Response.json(await getReleaseRoutes(dataDir, host, url.searchParams.get("release")));
+}
+
+function decodeParam(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw httpError("Invalid URL encoding");
+  }
+}
+
+async function readJson(req) {
+  try {
+    return (await req.json()) ?? {};
+  } catch {
+    throw httpError("Request body must be valid JSON");
+  }
+}
+
+/**
+ * Verify X-API-Key (or, for deploy routes, the site's X-Deploy-Key) - returns Response on failure
+ */
+async function checkAuth(req, dataDir, auth, host) {
+  const apiKey = req.headers.get("x-api-key");
+  if (apiKey && keysMatch(apiKey, await getApiKey(dataDir))) {
+    return null;
+  }
+
+  if (auth === "deploy") {
+    const site = await getSiteByHost(dataDir, host);
+    const deployKey = req.headers.get("x-deploy-key");
+    if (site && deployKey && keysMatch(deployKey, site.deployKey)) {
+      return null;
+    }
+    return jsonError("Invalid deploy key", 401);
+  }
+
+  return jsonError("Invalid API key", 401);
+}
+
+async function requireSite(dataDir, host) {
+  const site = await getSiteByHost(dataDir, host);
+  if (!site) {
+    throw httpError(`Site ${host} not found`, 404);
+  }
+  return site;
+}
+
+/**
+ * Site fields safe to return (no deploy key or env values)
+ */
+function toPublicSite(host, site) {
+  const { deployKey, env, ...fields } = site;
+  return { host, ...fields };
+}
+
+/**
+ * Env vars must be an object of string values (null allowed for PATCH deletes)
+ */
+function parseEnv(env, { allowNull = false } = {}) {
+  if (!env || typeof env !== "object" || Array.isArray(env)) {
+    throw httpError('Body must be { "env": { "KEY": "value" } }');
+  }
+
+  for (const [key, value] of Object.entries(env)) {
+    if (typeof value !== "string" && !(allowNull && value === null)) {
+      throw httpError(`Env var ${key} must be a string`);
+    }
+  }
+
+  return env;
+}
+
+function keysMatch(provided, expected) {
+  if (typeof expected !== "string") return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function jsonError(message, status = 400, details = null) {
+  return Response.json({ error: message, ...details }, { status });
+}
@@ -0,0 +1,101 @@
+import { httpError } from "./errors.js";
+
+/**
+ * Read a request body, failing with 413 once it exceeds limit bytes.
+ * Content-Length is checked up front; chunked bodies are counted as they stream.
+ */
+export async function readBody(req, limit) {
+  const contentLength = Number(req.headers.get("content-length") || 0);
+  if (contentLength > limit) {
+    throw httpError("Request body too large", 413);
+  }
+
+  if (!req.body) return new Uint8Array(0);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req.body) {
+    size += chunk.byteLength;
+    if (size > limit) {
+      throw httpError("Request body too large", 413);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parse a request body for req.body by Content-Type:
+ * - application/json: parsed value
+ * - application/x-www-form-urlencoded, multipart/form-data: object of fields;
+ *   repeated names become arrays and uploads become { name, type, size, content }
+ * - application/octet-stream: Buffer
+ * - text/*: string
+ * Anything else (or an empty body) is null. Malformed bodies fail with 400.
+ */
+export async function parseBody(bytes, contentType) {
+  if (bytes.byteLength === 0) return null;
+
+  const type = contentType.split(";")[0].trim().toLowerCase();
+
+  if (type === "application/json" || type.endsWith("+json")) {
+    try {
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      throw httpError("Malformed JSON body");
+    }
+  }
+
+  if (type === "application/x-www-form-urlencoded") {
+    return collectFields(new URLSearchParams(new TextDecoder().decode(bytes)));
+  }
+
+  if (type === "multipart/form-data") {
+    let form;
+    try {
+      form = await new Response(bytes, { headers: { "Content-Type": contentType } }).formData();
+    } catch {
+      throw httpError("Malformed multipart body");
+    }
+
+    const entries = [];
+    for (const [name, value] of form) {
+      entries.push([name, typeof value === "string" ? value : await toUpload(value)]);
+    }
+    return collectFields(entries);
+  }
+
+  if (type === "application/octet-stream") {
+    return Buffer.from(bytes);
+  }
+
+  if (type.startsWith("text/")) {
+    return new TextDecoder().decode(bytes);
+  }
+
+  return null;
+}
+
+async function toUpload(file) {
+  return {
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    content: Buffer.from(await file.arrayBuffer()),
+  };
+}
+
+function collectFields(entries) {
+  const fields = {};
+  for (const [name, value] of entries) {
+    if (!Object.hasOwn(fields, name)) {
+      // defineProperty so a field named "__proto__" is just a field
+      Object.defineProperty(fields, name, { value, enumerable: true, writable: true, configurable: true });
+    } else if (Array.isArray(fields[name])) {
+      fields[name].push(value);
+    } else {
+      fields[name] = [fields[name], value];
+    }
+  }
+  return fields;
+}
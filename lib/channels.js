@@ -93,3 +93,21 @@ function cleanup(channel, subscriber) {
     channels.delete(channel);
   }
 }
+
+/**
+ * Close every subscription (graceful shutdown). Each stream gets a final
+ * `retry` hint so EventSource clients reconnect to the replacement server.
+ */
+export function closeAll(retryMs = 1000) {
+  for (const [channel, subs] of channels) {
+    for (const subscriber of subs) {
+      try {
+        subscriber.controller.enqueue(`retry: ${retryMs}\n\n`);
+        subscriber.controller.close();
+      } catch {
+        // Client already gone
+      }
+      cleanup(channel, subscriber);
+    }
+  }
+}
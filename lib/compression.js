@@ -0,0 +1,165 @@
+import zlib from "zlib";
+import { promisify } from "util";
+
+// Async so compressing a large body runs off the event loop
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+// Preference order when the client accepts several encodings equally
+const ENCODINGS = ["br", "gzip"];
+const PRECOMPRESSED_EXTENSIONS = { br: ".br", gzip: ".gz" };
+
+const DEFAULT_CONFIG = { static: true, functions: true, minSize: 1024 };
+
+// Files larger than this are sent uncompressed rather than compressed in memory
+const MAX_DYNAMIC_SIZE = 10 * 1024 * 1024;
+
+// Compressed static files (path:mtime:encoding -> Uint8Array), bounded by total bytes
+const MAX_CACHE_BYTES = 64 * 1024 * 1024;
+const compressedCache = new Map();
+let compressedCacheBytes = 0;
+
+const COMPRESSIBLE_TYPES = [
+  /^text\//,
+  /^application\/(json|javascript|xml|manifest\+json|wasm|vnd\.ms-fontobject)/,
+  /^image\/(svg\+xml|x-icon)/,
+  /^font\/(ttf|otf)/,
+];
+
+/**
+ * Resolve site.json "compression" (false, or { static, functions, minSize }).
+ * Returns null when compression is disabled.
+ */
+export function getCompressionConfig(siteConfig) {
+  const value = siteConfig?.compression;
+  if (value === false) return null;
+  return { ...DEFAULT_CONFIG, ...(typeof value === "object" ? value : {}) };
+}
+
+export function isCompressible(contentType) {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  return COMPRESSIBLE_TYPES.some((pattern) => pattern.test(type));
+}
+
+/**
+ * Choose a static file representation for the client's Accept-Encoding.
+ * Precompressed siblings (file.br, file.gz) win; otherwise compressible types
+ * are compressed on the fly and cached. Returns { body, encoding } (encoding is
+ * null for the raw file), or null if the response doesn't vary by encoding.
+ */
+export async function compressStatic(filePath, file, contentType, acceptEncoding, config) {
+  if (!config?.static) return null;
+
+  const accepted = parseAcceptEncoding(acceptEncoding);
+  let varies = false;
+
+  for (const encoding of ENCODINGS) {
+    const sibling = Bun.file(filePath + PRECOMPRESSED_EXTENSIONS[encoding]);
+    if (!(await sibling.exists())) continue;
+
+    varies = true;
+    if (isAccepted(accepted, encoding)) {
+      return { body: sibling, encoding };
+    }
+  }
+
+  if (!isCompressible(contentType) || file.size < config.minSize || file.size > MAX_DYNAMIC_SIZE) {
+    return varies ? { body: file, encoding: null } : null;
+  }
+
+  const encoding = pickEncoding(accepted, ENCODINGS);
+  if (!encoding) {
+    return { body: file, encoding: null };
+  }
+
+  const cacheKey = `${filePath}:${file.lastModified}:${encoding}`;
+  let body = compressedCache.get(cacheKey);
+  if (!body) {
+    body = await compress(await file.bytes(), encoding);
+    cacheCompressed(cacheKey, body);
+  }
+
+  return { body, encoding };
+}
+
+/**
+ * Gzip a buffered function response body when the client accepts it.
+ * Sets Content-Encoding/Vary on headers and returns the body to send.
+ */
+export async function compressBody(payload, headers, acceptEncoding, config) {
+  if (!config?.functions || headers.has("Content-Encoding")) return payload;
+
+  const contentType = headers.get("Content-Type") || (typeof payload === "string" ? "text/plain" : "");
+  if (!isCompressible(contentType)) return payload;
+
+  const bytes = typeof payload === "string" ? Buffer.from(payload) : payload;
+  if (bytes.length < config.minSize) return payload;
+
+  addVary(headers, "Accept-Encoding");
+  if (!isAccepted(parseAcceptEncoding(acceptEncoding), "gzip")) return payload;
+
+  headers.set("Content-Encoding", "gzip");
+  return await compress(bytes, "gzip");
+}
+
+export function addVary(headers, value) {
+  const current = headers.get("Vary");
+  if (!current) {
+    headers.set("Vary", value);
+  } else if (!current.toLowerCase().split(/\s*,\s*/).includes(value.toLowerCase())) {
+    headers.set("Vary", `${current}, ${value}`);
+  }
+}
+
+function compress(bytes, encoding) {
+  if (encoding === "br") {
+    // Quality 5 keeps first-request latency low; precompress for maximum ratio
+    return brotliCompress(bytes, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } });
+  }
+  return gzip(bytes);
+}
+
+function cacheCompressed(key, body) {
+  if (body.length > MAX_CACHE_BYTES) return;
+
+  compressedCache.set(key, body);
+  compressedCacheBytes += body.length;
+
+  // Evict oldest entries (Map preserves insertion order)
+  for (const [oldKey, oldBody] of compressedCache) {
+    if (compressedCacheBytes <= MAX_CACHE_BYTES) break;
+    compressedCache.delete(oldKey);
+    compressedCacheBytes -= oldBody.length;
+  }
+}
+
+/**
+ * Parse Accept-Encoding into encoding -> q-value
+ */
+function parseAcceptEncoding(header) {
+  const accepted = new Map();
+  for (const part of (header || "").split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(/\s*;\s*/);
+    if (!name) continue;
+    const q = params.find((p) => p.startsWith("q="));
+    accepted.set(name, q ? Number(q.slice(2)) || 0 : 1);
+  }
+  return accepted;
+}
+
+function isAccepted(accepted, encoding) {
+  return (accepted.get(encoding) ?? accepted.get("*") ?? 0) > 0;
+}
+
+function pickEncoding(accepted, encodings) {
+  let best = null;
+  let bestQ = 0;
+  for (const encoding of encodings) {
+    const q = accepted.get(encoding) ?? accepted.get("*") ?? 0;
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+  return best;
+}
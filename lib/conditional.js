@@ -0,0 +1,207 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { DATA_DIR } from "./config.js";
+
+const MAX_ETAG_CACHE = 10000;
+
+// ETags for static files ("path:mtime:size" -> Promise of ETag), cleared on deploy.
+// Promises, so concurrent first requests share one lookup or hash.
+const etagCache = new Map();
+
+// Content hashes recorded at deploy time ("host/releaseId" -> Promise of { relativePath: entry } or null)
+const releaseHashesCache = new Map();
+
+// Release each site's current symlink points at (host -> Promise of release id or null)
+const currentReleaseCache = new Map();
+
+/**
+ * Strong ETag (content hash) and Last-Modified for a file.
+ * Files in a release use the hash recorded when it was deployed; anything
+ * else (or a file changed since) is hashed once per file version and cached.
+ */
+export async function getFileValidators(filePath, file) {
+  const cacheKey = `${filePath}:${file.lastModified}:${file.size}`;
+
+  let etag = etagCache.get(cacheKey);
+  if (!etag) {
+    etag = computeEtag(filePath, file);
+    etag.catch(() => etagCache.delete(cacheKey));
+
+    etagCache.set(cacheKey, etag);
+    while (etagCache.size > MAX_ETAG_CACHE) {
+      etagCache.delete(etagCache.keys().next().value);
+    }
+  }
+
+  return { etag: await etag, lastModified: new Date(file.lastModified).toUTCString() };
+}
+
+/**
+ * SHA-256 of a file's content (hex), streamed so large files aren't buffered
+ */
+export async function hashFile(filePath) {
+  const hasher = new Bun.CryptoHasher("sha256");
+  for await (const chunk of Bun.file(filePath).stream()) {
+    hasher.update(chunk);
+  }
+  return hasher.digest("hex");
+}
+
+/**
+ * Record a release's content hashes beside it (deploys/<id>.hashes.json).
+ * hashes: { relativePath: { hash, size, mtime } }
+ */
+export async function writeReleaseHashes(deploysDir, releaseId, hashes) {
+  await fs.writeFile(getReleaseHashesPath(deploysDir, releaseId), JSON.stringify(hashes), "utf8");
+}
+
+export function getReleaseHashesPath(deploysDir, releaseId) {
+  return path.join(deploysDir, `${releaseId}.hashes.json`);
+}
+
+async function computeEtag(filePath, file) {
+  const hash = (await findReleaseHash(filePath, file)) || (await hashFile(filePath));
+  return `"${hash.slice(0, 32)}"`;
+}
+
+/**
+ * Look up a file's deploy-time hash from the release it belongs to
+ * (sites/<host>/current/... or sites/<host>/deploys/<id>/...)
+ */
+async function findReleaseHash(filePath, file) {
+  const [host, kind, ...rest] = path.relative(path.join(DATA_DIR, "sites"), filePath).split(path.sep);
+  if (!host || host === ".." || rest.length === 0) return null;
+
+  let releaseId;
+  let fileParts = rest;
+  if (kind === "current") {
+    releaseId = await cached(currentReleaseCache, host, () => readCurrentRelease(host));
+  } else if (kind === "deploys") {
+    [releaseId, ...fileParts] = rest;
+  }
+  if (!releaseId || fileParts.length === 0) return null;
+
+  const hashes = await cached(releaseHashesCache, `${host}/${releaseId}`, () => readReleaseHashes(host, releaseId));
+  const entry = hashes && Object.hasOwn(hashes, fileParts.join("/")) ? hashes[fileParts.join("/")] : null;
+
+  // Releases don't change, but a file edited in place must not keep its old ETag
+  return entry && entry.size === file.size && entry.mtime === file.lastModified ? entry.hash : null;
+}
+
+function cached(cache, key, load) {
+  if (!cache.has(key)) {
+    cache.set(key, load());
+  }
+  return cache.get(key);
+}
+
+async function readCurrentRelease(host) {
+  try {
+    return path.basename(await fs.readlink(path.join(DATA_DIR, "sites", host, "current")));
+  } catch {
+    return null; // Legacy current/ directory
+  }
+}
+
+async function readReleaseHashes(host, releaseId) {
+  try {
+    const deploysDir = path.join(DATA_DIR, "sites", host, "deploys");
+    return JSON.parse(await fs.readFile(getReleaseHashesPath(deploysDir, releaseId), "utf8"));
+  } catch {
+    return null; // Deployed before hashes were recorded
+  }
+}
+
+/**
+ * Quote a function-supplied etag value unless it's already a valid entity tag
+ */
+export function formatEtag(value) {
+  const tag = String(value);
+  return /^(W\/)?".*"$/.test(tag) ? tag : `"${tag.replaceAll('"', "")}"`;
+}
+
+/**
+ * Mark an ETag as belonging to a content-coded representation,
+ * so gzip/br/identity variants never share a strong validator
+ */
+export function etagForEncoding(etag, encoding) {
+  return encoding ? etag.replace(/"$/, `-${encoding}"`) : etag;
+}
+
+/**
+ * Evaluate If-None-Match / If-Modified-Since for a GET or HEAD request.
+ * If-Modified-Since is ignored when If-None-Match is present (RFC 9110).
+ */
+export function isNotModified(method, requestHeaders, { etag, lastModified }) {
+  if (method !== "GET" && method !== "HEAD") return false;
+
+  const ifNoneMatch = requestHeaders.get("if-none-match");
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    if (ifNoneMatch.trim() === "*") return true;
+    // Weak comparison; any content-coding of the same entity matches
+    const target = normalizeTag(etag);
+    return ifNoneMatch.split(",").some((tag) => normalizeTag(tag) === target);
+  }
+
+  const ifModifiedSince = requestHeaders.get("if-modified-since");
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    return !Number.isNaN(since) && Date.parse(lastModified) <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Evaluate If-Range: a Range request only applies if the client's copy is
+ * still current (strong ETag or exact Last-Modified match). Without If-Range it always applies.
+ */
+export function isRangeFresh(requestHeaders, { etag, lastModified }) {
+  const ifRange = requestHeaders.get("if-range")?.trim();
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    return ifRange === etag;
+  }
+  return Date.parse(ifRange) === Date.parse(lastModified);
+}
+
+/**
+ * 304 response carrying the validators and caching headers of the full response
+ */
+export function notModified(headers) {
+  const kept = new Headers();
+  for (const name of ["ETag", "Last-Modified", "Cache-Control", "Vary", "Expires"]) {
+    const value = headers.get(name);
+    if (value) kept.set(name, value);
+  }
+  return new Response(null, { status: 304, headers: kept });
+}
+
+export function clearEtagCache(siteHost) {
+  if (!siteHost) {
+    etagCache.clear();
+    releaseHashesCache.clear();
+    currentReleaseCache.clear();
+    return;
+  }
+
+  currentReleaseCache.delete(siteHost);
+  for (const key of releaseHashesCache.keys()) {
+    if (key.startsWith(`${siteHost}/`)) {
+      releaseHashesCache.delete(key);
+    }
+  }
+
+  const sitePrefix = path.join(DATA_DIR, "sites", siteHost) + "/";
+  for (const key of etagCache.keys()) {
+    if (key.startsWith(sitePrefix)) {
+      etagCache.delete(key);
+    }
+  }
+}
+
+function normalizeTag(tag) {
+  return tag.trim().replace(/^W\//, "").replace(/-(br|gzip)"$/, '"');
+}
@@ -0,0 +1,165 @@
+import net from "net";
+
+/**
+ * Request conditions for _redirects rules, written after the status:
+ *
+ *   Language=fr,de          client's preferred language (fr also matches fr-CH)
+ *   Cookie=beta             cookie is present
+ *   Cookie=beta=1           cookie has this value
+ *   Header=X-Env            header is present
+ *   Header=X-Env:staging    header has this value
+ *   IP=10.0.0.0/8,::1       client IP is in one of these addresses/CIDRs
+ *
+ * Comma-separated values match any of them; all conditions on a rule must match.
+ */
+const PARSERS = {
+  language: parseLanguage,
+  cookie: parseCookie,
+  header: parseHeader,
+  ip: parseIp,
+};
+
+export function isConditionToken(token) {
+  const key = token.split("=")[0].toLowerCase();
+  return token.includes("=") && key in PARSERS;
+}
+
+/**
+ * Parse a condition token. Returns { condition } or { error }.
+ */
+export function parseCondition(token) {
+  const index = token.indexOf("=");
+  const key = token.slice(0, index).toLowerCase();
+  const value = token.slice(index + 1);
+
+  if (!value) {
+    return { error: `Missing value for ${token.slice(0, index)}` };
+  }
+  return PARSERS[key](value);
+}
+
+/**
+ * Check every condition against a request ({ headers, clientIp })
+ */
+export function matchesConditions(conditions, request) {
+  return conditions.every((condition) => condition.matches(request));
+}
+
+/**
+ * Request headers a rule's outcome depends on (for the Vary header)
+ */
+export function conditionVary(conditions) {
+  return conditions.map((condition) => condition.vary).filter(Boolean);
+}
+
+function parseLanguage(value) {
+  const languages = value.toLowerCase().split(",").filter(Boolean);
+  return {
+    condition: {
+      vary: "Accept-Language",
+      matches: ({ headers }) => {
+        const preferred = preferredLanguage(headers.get("accept-language"));
+        return Boolean(preferred) &&
+          languages.some((lang) => preferred === lang || preferred.startsWith(`${lang}-`));
+      },
+    },
+  };
+}
+
+function parseCookie(value) {
+  const index = value.indexOf("=");
+  const name = index === -1 ? value : value.slice(0, index);
+  const expected = index === -1 ? null : value.slice(index + 1);
+
+  return {
+    condition: {
+      vary: "Cookie",
+      matches: ({ headers }) => {
+        const actual = getCookie(headers.get("cookie"), name);
+        return actual !== null && (expected === null || actual === expected);
+      },
+    },
+  };
+}
+
+function parseHeader(value) {
+  const index = value.indexOf(":");
+  const name = index === -1 ? value : value.slice(0, index);
+  const expected = index === -1 ? null : value.slice(index + 1);
+
+  if (!/^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(name)) {
+    return { error: `Invalid header name: ${name}` };
+  }
+
+  return {
+    condition: {
+      vary: name,
+      matches: ({ headers }) => {
+        const actual = headers.get(name);
+        return actual !== null && (expected === null || actual === expected);
+      },
+    },
+  };
+}
+
+function parseIp(value) {
+  const list = new net.BlockList();
+
+  for (const entry of value.split(",").filter(Boolean)) {
+    const [address, prefix] = entry.split("/");
+    const family = net.isIPv6(address) ? "ipv6" : net.isIPv4(address) ? "ipv4" : null;
+    const maxPrefix = family === "ipv6" ? 128 : 32;
+
+    if (!family || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+      return { error: `Invalid IP or CIDR: ${entry}` };
+    }
+
+    if (prefix === undefined) {
+      list.addAddress(address, family);
+    } else {
+      list.addSubnet(address, Number(prefix), family);
+    }
+  }
+
+  return {
+    condition: {
+      vary: null, // The client IP isn't a request header
+      matches: ({ clientIp }) => {
+        const family = net.isIPv6(clientIp) ? "ipv6" : net.isIPv4(clientIp) ? "ipv4" : null;
+        return family !== null && list.check(clientIp, family);
+      },
+    },
+  };
+}
+
+/**
+ * The client's most preferred language (highest q-value, first on ties), lowercased
+ */
+function preferredLanguage(header) {
+  let best = null;
+  let bestQ = 0;
+
+  for (const part of (header || "").split(",")) {
+    const [tag, ...params] = part.trim().toLowerCase().split(/\s*;\s*/);
+    if (!tag || tag === "*") continue;
+    const q = params.find((p) => p.startsWith("q="));
+    const quality = q ? Number(q.slice(2)) || 0 : 1;
+    if (quality > bestQ) {
+      best = tag;
+      bestQ = quality;
+    }
+  }
+
+  return best;
+}
+
+function getCookie(header, name) {
+  for (const pair of (header || "").split(";")) {
+    const index = pair.indexOf("=");
+    if (index === -1) continue;
+    if (pair.slice(0, index).trim() === name) {
+      return pair.slice(index + 1).trim();
+    }
+  }
+  return null;
+}
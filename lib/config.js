@@ -3,3 +3,10 @@ export const DATA_DIR = process.env.BUNPAAS_DATA_DIR || "/var/www";
 export const isDev = process.env.NODE_ENV === "development";
 export const PORT = Number(process.env.BUNPAAS_PORT || 7001);
 export const TRUST_PROXY = (process.env.BUNPAAS_TRUST_PROXY || "loopback").toLowerCase();
+export const MAX_DEPLOY_BYTES = Number(process.env.BUNPAAS_MAX_DEPLOY_BYTES || 100 * 1024 * 1024);
+export const KEEP_RELEASES = Number(process.env.BUNPAAS_KEEP_RELEASES || 10);
+export const MASTER_KEY = process.env.BUNPAAS_MASTER_KEY || null;
+export const MASTER_KEY_FILE = process.env.BUNPAAS_MASTER_KEY_FILE || null;
+export const DRAIN_TIMEOUT = Number(process.env.BUNPAAS_DRAIN_TIMEOUT || 30000);
+export const FUNCTION_RUNNERS = Number(process.env.BUNPAAS_FUNCTION_RUNNERS || 4);
+export const FUNCTION_MEMORY_LIMIT = Number(process.env.BUNPAAS_FUNCTION_MEMORY_MB || 256) * 1024 * 1024;
@@ -0,0 +1,549 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { getSiteByHost, updateSite, clearSiteConfigCache } from "./sites.js";
+import { clearFunctionCache } from "./functions.js";
+import { getRouteTable, listRoutes } from "./routes.js";
+import { clearEtagCache, hashFile, writeReleaseHashes, getReleaseHashesPath } from "./conditional.js";
+import { clearHeadersCache } from "./headers.js";
+import { clearRedirectsCache } from "./redirects.js";
+import { logDeploy } from "./logs.js";
+import { httpError } from "./errors.js";
+import { validateRelease } from "./validate.js";
+import { KEEP_RELEASES } from "./config.js";
+
+const RELEASE_ID_PATTERN = /^[a-z0-9-]+$/;
+const BLOB_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// Unreferenced blobs younger than this survive GC (uploaded, not yet deployed)
+const BLOB_GC_GRACE_MS = 60 * 60 * 1000;
+
+// Per-site queue so concurrent deploys activate one at a time
+const deployLocks = new Map(); // host -> Promise
+
+/**
+ * Get a site's root directory (holds current and deploys/)
+ */
+export function getSiteDir(dataDir, host) {
+  return path.join(dataDir, "sites", host);
+}
+
+/**
+ * Generate a sortable, hostname-safe release id (e.g. 20250101120000123-a1b2c3)
+ */
+function generateReleaseId(date = new Date()) {
+  const stamp = date.toISOString().replace(/\D/g, "");
+  return `${stamp}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * Detect archive format from magic bytes
+ */
+function detectArchiveType(bytes) {
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) {
+    return "zip";
+  }
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    return "tar"; // gzip; tar detects compression itself
+  }
+  if (bytes.length > 262 && Buffer.from(bytes.subarray(257, 262)).toString() === "ustar") {
+    return "tar";
+  }
+  return null;
+}
+
+/**
+ * Deploy an archive (tar, tar.gz or zip) as a new release and activate it.
+ * Previews are staged without touching current and served at <id>--<host>.
+ */
+export async function deploy(dataDir, host, archive, options = {}) {
+  const bytes = new Uint8Array(archive);
+  const type = detectArchiveType(bytes);
+  if (!type) {
+    throw httpError("Unsupported archive format (expected tar, tar.gz or zip)");
+  }
+
+  return createRelease(dataDir, host, options, async (releaseDir, deployId) => {
+    const archivePath = path.join(path.dirname(releaseDir), `.${deployId}.upload`);
+    try {
+      await Bun.write(archivePath, bytes);
+      await extractArchive(archivePath, type, releaseDir);
+    } finally {
+      await fs.rm(archivePath, { force: true });
+    }
+  });
+}
+
+/**
+ * Deploy from a manifest of { path: sha256 } whose blobs were already uploaded.
+ * Files are hardlinked from the site's blob store, so unchanged assets cost nothing.
+ */
+export async function deployManifest(dataDir, host, manifest, options = {}) {
+  const files = parseManifest(manifest);
+
+  return createRelease(dataDir, host, options, async (releaseDir) => {
+    const missing = await findMissingBlobs(dataDir, host, files);
+    if (missing.length > 0) {
+      throw httpError(`${missing.length} blob(s) have not been uploaded`, 409, { missing });
+    }
+
+    for (const [filePath, hash] of Object.entries(files)) {
+      const dest = path.join(releaseDir, filePath);
+      await fs.mkdir(path.dirname(dest), { recursive: true });
+      await fs.link(getBlobPath(dataDir, host, hash), dest);
+    }
+
+    // Blobs were verified on upload, so their hashes needn't be recomputed
+    return files;
+  });
+}
+
+/**
+ * Return the hashes in a manifest that aren't in the site's blob store yet
+ */
+export async function findMissingBlobs(dataDir, host, manifest) {
+  const files = parseManifest(manifest);
+  const missing = [];
+
+  for (const hash of new Set(Object.values(files))) {
+    if (!(await Bun.file(getBlobPath(dataDir, host, hash)).exists())) {
+      missing.push(hash);
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * Store an uploaded blob after verifying its SHA-256
+ */
+export async function storeBlob(dataDir, host, hash, data) {
+  if (!BLOB_HASH_PATTERN.test(hash)) {
+    throw httpError("Blob hash must be a lowercase hex SHA-256");
+  }
+
+  const actual = crypto.createHash("sha256").update(new Uint8Array(data)).digest("hex");
+  if (actual !== hash) {
+    throw httpError(`Blob content does not match hash (got ${actual})`);
+  }
+
+  const blobPath = getBlobPath(dataDir, host, hash);
+  if (await Bun.file(blobPath).exists()) {
+    return { hash, stored: false };
+  }
+
+  // Write to temp, then atomic rename, so a half-written blob is never linked
+  const tempPath = `${blobPath}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fs.mkdir(path.dirname(blobPath), { recursive: true });
+  await Bun.write(tempPath, data);
+  await fs.rename(tempPath, blobPath);
+
+  return { hash, stored: true };
+}
+
+/**
+ * Stage a release directory, validate it, record its metadata and (unless a preview) activate it.
+ * populate(releaseDir, deployId) fills the directory and may return the
+ * { path: sha256 } of files it already knows.
+ */
+async function createRelease(dataDir, host, options, populate) {
+  const { deployedBy = "deploy-key", preview = false, expiresIn = null } = options;
+
+  return withDeployLock(host, async () => {
+    const site = await getSiteByHost(dataDir, host);
+    if (!site) {
+      throw httpError(`Site ${host} not found`, 404);
+    }
+
+    const startTime = Date.now();
+    const deployId = generateReleaseId();
+    const deploysDir = path.join(getSiteDir(dataDir, host), "deploys");
+    const releaseDir = path.join(deploysDir, deployId);
+    let activated = false;
+
+    try {
+      await fs.mkdir(releaseDir, { recursive: true });
+      const knownHashes = await populate(releaseDir, deployId);
+      const { files, size, hashes } = await inspectRelease(releaseDir, knownHashes);
+
+      const { errors, warnings } = await validateRelease(releaseDir);
+      if (errors.length > 0) {
+        throw httpError("Release failed validation", 422, { errors, warnings });
+      }
+
+      const timestamp = new Date().toISOString();
+      const meta = { id: deployId, timestamp, files, size, deployedBy };
+      if (preview) {
+        meta.preview = true;
+        meta.expiresAt = expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null;
+      }
+      await writeReleaseMeta(deploysDir, meta);
+      await writeReleaseHashes(deploysDir, deployId, hashes);
+
+      if (!preview) {
+        await activateRelease(dataDir, host, deployId);
+        activated = true;
+        await updateSite(dataDir, host, { lastDeploy: timestamp });
+      }
+      await pruneReleases(dataDir, host, site.keepReleases ?? KEEP_RELEASES);
+
+      const result = { deployId, timestamp, files, size, durationMs: Date.now() - startTime };
+      if (warnings.length > 0) {
+        result.warnings = warnings;
+      }
+      if (preview) {
+        result.preview = true;
+        result.previewHost = `${deployId}--${host}`;
+        result.expiresAt = meta.expiresAt;
+      }
+      logDeploy(host, { ...result, action: preview ? "preview" : "deploy", status: "success", deployedBy });
+      return result;
+    } catch (err) {
+      // Once live, the release must stay: current points at it
+      if (!activated) {
+        await fs.rm(releaseDir, { recursive: true, force: true });
+        await fs.rm(getReleaseMetaPath(deploysDir, deployId), { force: true });
+        await fs.rm(getReleaseHashesPath(deploysDir, deployId), { force: true });
+      }
+      logDeploy(host, {
+        deployId,
+        timestamp: new Date().toISOString(),
+        action: preview ? "preview" : "deploy",
+        status: "failed",
+        deployedBy,
+        error: err.message,
+        ...err.details,
+        ...(activated && { activated: true }),
+        durationMs: Date.now() - startTime,
+      });
+      throw err;
+    }
+  });
+}
+
+/**
+ * List releases in deploys/, newest first
+ */
+export async function listReleases(dataDir, host) {
+  const deploysDir = path.join(getSiteDir(dataDir, host), "deploys");
+  const currentId = await getCurrentReleaseId(dataDir, host);
+
+  let entries;
+  try {
+    entries = await fs.readdir(deploysDir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const releases = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+
+    const meta = await readReleaseMeta(deploysDir, entry.name);
+    releases.push({ ...meta, id: entry.name, active: entry.name === currentId });
+  }
+
+  // Ids start with a UTC timestamp, so they sort chronologically
+  return releases.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Get the id of the release current points at (null if none)
+ */
+export async function getCurrentReleaseId(dataDir, host) {
+  try {
+    const target = await fs.readlink(path.join(getSiteDir(dataDir, host), "current"));
+    return path.basename(target);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get a release's metadata if it exists and hasn't expired (null otherwise)
+ */
+export async function getRelease(dataDir, host, releaseId) {
+  const deploysDir = path.join(getSiteDir(dataDir, host), "deploys");
+  if (!RELEASE_ID_PATTERN.test(releaseId) || !(await isDirectory(path.join(deploysDir, releaseId)))) {
+    return null;
+  }
+
+  const meta = await readReleaseMeta(deploysDir, releaseId);
+  if (isExpired(meta)) return null;
+
+  return { ...meta, id: releaseId };
+}
+
+/**
+ * Function route table of the active release (or of releaseId), in the
+ * form served by the API and printed by `cli.js routes`
+ */
+export async function getReleaseRoutes(dataDir, host, releaseId = null) {
+  let releaseDir = path.join(getSiteDir(dataDir, host), "current");
+  if (releaseId) {
+    if (!(await getRelease(dataDir, host, releaseId))) {
+      throw httpError(`Release ${releaseId} not found`, 404);
+    }
+    releaseDir = path.join(getSiteDir(dataDir, host), "deploys", releaseId);
+  }
+
+  const functionsDir = path.join(releaseDir, "_functions");
+  return {
+    release: releaseId || (await getCurrentReleaseId(dataDir, host)),
+    routes: listRoutes(await getRouteTable(functionsDir), functionsDir),
+  };
+}
+
+/**
+ * Point current at an existing release: rolls back to an earlier release,
+ * or promotes a preview to production without re-uploading
+ */
+export async function switchRelease(dataDir, host, releaseId) {
+  return withDeployLock(host, async () => {
+    const site = await getSiteByHost(dataDir, host);
+    if (!site) {
+      throw httpError(`Site ${host} not found`, 404);
+    }
+
+    const release = await getRelease(dataDir, host, releaseId);
+    if (!release) {
+      throw httpError(`Release ${releaseId} not found`, 404);
+    }
+
+    const deploysDir = path.join(getSiteDir(dataDir, host), "deploys");
+    const previousId = await getCurrentReleaseId(dataDir, host);
+
+    // A promoted preview becomes a regular release and no longer expires
+    const promoted = Boolean(release.preview);
+    if (promoted) {
+      delete release.preview;
+      delete release.expiresAt;
+      await writeReleaseMeta(deploysDir, release);
+    }
+
+    await activateRelease(dataDir, host, releaseId);
+
+    logDeploy(host, {
+      deployId: releaseId,
+      timestamp: new Date().toISOString(),
+      action: promoted ? "promote" : "rollback",
+      status: "success",
+      previousId,
+    });
+
+    return { ...release, active: true };
+  });
+}
+
+/**
+ * Delete expired previews, then the oldest releases beyond the retention limit.
+ * Production releases and previews are counted separately; the active release is always kept.
+ */
+export async function pruneReleases(dataDir, host, keep) {
+  const deploysDir = path.join(getSiteDir(dataDir, host), "deploys");
+  const releases = await listReleases(dataDir, host);
+  const kept = { production: 0, preview: 0 };
+  const pruned = [];
+
+  for (const release of releases) {
+    const kind = release.preview ? "preview" : "production";
+    if (release.active || (!isExpired(release) && (!(keep > 0) || kept[kind] < keep))) {
+      kept[kind]++;
+      continue;
+    }
+
+    await fs.rm(path.join(deploysDir, release.id), { recursive: true, force: true });
+    await fs.rm(getReleaseMetaPath(deploysDir, release.id), { force: true });
+    await fs.rm(getReleaseHashesPath(deploysDir, release.id), { force: true });
+    pruned.push(release.id);
+  }
+
+  await collectBlobs(dataDir, host);
+
+  return pruned;
+}
+
+/**
+ * Delete blobs no release links to. A blob's only remaining link is the store itself.
+ */
+async function collectBlobs(dataDir, host) {
+  const blobsDir = path.join(getSiteDir(dataDir, host), "blobs");
+
+  let entries;
+  try {
+    entries = await fs.readdir(blobsDir, { recursive: true, withFileTypes: true });
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+
+    const blobPath = path.join(entry.parentPath ?? entry.path, entry.name);
+    const stat = await fs.stat(blobPath);
+    if (stat.nlink === 1 && Date.now() - stat.mtimeMs > BLOB_GC_GRACE_MS) {
+      await fs.rm(blobPath, { force: true });
+    }
+  }
+}
+
+/**
+ * Point current at deploys/<releaseId> with an atomic symlink swap
+ */
+export async function activateRelease(dataDir, host, releaseId) {
+  const siteDir = getSiteDir(dataDir, host);
+  const currentPath = path.join(siteDir, "current");
+  const tempLink = path.join(siteDir, `.current-${releaseId}`);
+
+  await fs.rm(tempLink, { force: true });
+  await fs.symlink(path.join("deploys", releaseId), tempLink);
+  await migrateLegacyCurrent(siteDir);
+
+  // rename() over an existing symlink is atomic: requests see old or new, never neither
+  await fs.rename(tempLink, currentPath);
+
+  clearSiteConfigCache(currentPath);
+  clearHeadersCache(currentPath);
+  clearRedirectsCache(currentPath);
+  clearFunctionCache(host);
+  clearEtagCache(host);
+}
+
+/**
+ * Sites created before releases existed have current/ as a plain directory.
+ * Move it into deploys/ so it can be swapped for a symlink, named for when
+ * it was last changed so it sorts (and is pruned) before the new release.
+ */
+async function migrateLegacyCurrent(siteDir) {
+  const currentPath = path.join(siteDir, "current");
+  try {
+    const stat = await fs.lstat(currentPath);
+    if (stat.isDirectory()) {
+      await fs.rename(currentPath, path.join(siteDir, "deploys", generateReleaseId(stat.mtime)));
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
+
+// Blobs are sharded by hash prefix: blobs/ab/abcdef...
+function getBlobPath(dataDir, host, hash) {
+  return path.join(getSiteDir(dataDir, host), "blobs", hash.slice(0, 2), hash);
+}
+
+/**
+ * Validate a { path: sha256 } manifest, normalizing paths
+ */
+function parseManifest(manifest) {
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    throw httpError("Manifest must be an object of { path: sha256 }");
+  }
+
+  const files = {};
+  for (const [rawPath, hash] of Object.entries(manifest)) {
+    const filePath = path.posix.normalize(rawPath.replace(/^\/+/, ""));
+    if (!filePath || filePath === "." || filePath.startsWith("../") || filePath === ".." || filePath.includes("\0")) {
+      throw httpError(`Invalid path in manifest: ${rawPath}`);
+    }
+    if (typeof hash !== "string" || !BLOB_HASH_PATTERN.test(hash)) {
+      throw httpError(`Invalid hash for ${rawPath}`);
+    }
+    files[filePath] = hash;
+  }
+
+  return files;
+}
+
+// Metadata lives beside the release (deploys/<id>.json), not inside the served tree
+function getReleaseMetaPath(deploysDir, releaseId) {
+  return path.join(deploysDir, `${releaseId}.json`);
+}
+
+async function writeReleaseMeta(deploysDir, meta) {
+  await fs.writeFile(getReleaseMetaPath(deploysDir, meta.id), JSON.stringify(meta), "utf8");
+}
+
+async function readReleaseMeta(deploysDir, releaseId) {
+  try {
+    const content = await fs.readFile(getReleaseMetaPath(deploysDir, releaseId), "utf8");
+    return JSON.parse(content);
+  } catch {
+    // Releases migrated from a plain current/ directory have no metadata
+    return { id: releaseId, timestamp: null };
+  }
+}
+
+function isExpired(meta) {
+  return Boolean(meta.expiresAt) && Date.parse(meta.expiresAt) <= Date.now();
+}
+
+async function isDirectory(dirPath) {
+  try {
+    return (await fs.stat(dirPath)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+async function extractArchive(archivePath, type, destDir) {
+  const cmd = type === "zip"
+    ? ["unzip", "-q", "-o", archivePath, "-d", destDir]
+    : ["tar", "-xf", archivePath, "-C", destDir, "--no-same-owner"];
+
+  const proc = Bun.spawn({ cmd, stdout: "ignore", stderr: "pipe" });
+  const stderr = await new Response(proc.stderr).text();
+  if ((await proc.exited) !== 0) {
+    throw httpError(`Could not extract archive: ${stderr.trim() || "unknown error"}`);
+  }
+}
+
+/**
+ * Count files and bytes in a release and hash each file for its ETag,
+ * rejecting symlinks that escape it
+ */
+async function inspectRelease(releaseDir, knownHashes = {}) {
+  const realRoot = await fs.realpath(releaseDir);
+  let files = 0;
+  let size = 0;
+  const hashes = {};
+
+  const entries = await fs.readdir(releaseDir, { recursive: true, withFileTypes: true });
+  for (const entry of entries) {
+    const fullPath = path.join(entry.parentPath ?? entry.path, entry.name);
+
+    if (entry.isSymbolicLink()) {
+      const target = await fs.realpath(fullPath).catch(() => null);
+      if (!target || !target.startsWith(realRoot + path.sep)) {
+        throw httpError(`Archive contains a symlink outside the release: ${path.relative(releaseDir, fullPath)}`);
+      }
+      continue;
+    }
+
+    if (entry.isFile()) {
+      const stat = await fs.stat(fullPath);
+      const relativePath = path.relative(releaseDir, fullPath).split(path.sep).join("/");
+      const hash = Object.hasOwn(knownHashes, relativePath) ? knownHashes[relativePath] : await hashFile(fullPath);
+      hashes[relativePath] = { hash, size: stat.size, mtime: Math.trunc(stat.mtimeMs) };
+      files++;
+      size += stat.size;
+    }
+  }
+
+  return { files, size, hashes };
+}
+
+async function withDeployLock(host, fn) {
+  const previous = deployLocks.get(host) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  deployLocks.set(host, run);
+
+  try {
+    return await run;
+  } finally {
+    if (deployLocks.get(host) === run) {
+      deployLocks.delete(host);
+    }
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * Create an error carrying an HTTP status (and optional JSON details) for the API layer
+ */
+export function httpError(message, status = 400, details = null) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+}
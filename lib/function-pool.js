@@ -0,0 +1,407 @@
+/**
+ * Function runner pool
+ *
+ * Each site gets its own pool of runner processes (lib/function-runner.js),
+ * so a runaway function in one site can't block the server or other sites.
+ * A runner handles one request at a time. It is killed when the request
+ * times out, when it uses more than FUNCTION_MEMORY_LIMIT, when it keeps
+ * using CPU between requests (e.g. a timer left spinning), or when its site
+ * is redeployed. Runners that crash are replaced on the next request.
+ */
+
+import { promises as fs, existsSync } from "fs";
+import os from "os";
+import path from "path";
+import { publish } from "./channels.js";
+import { FUNCTION_RUNNERS, FUNCTION_MEMORY_LIMIT } from "./config.js";
+
+const RUNNER_PATH = path.join(import.meta.dir, "function-runner.js");
+const READY_TIMEOUT = 10000;
+const IDLE_TIMEOUT = 60000;
+const RESOURCE_CHECK_INTERVAL = 100;
+const MAX_QUEUED_REQUESTS = 100;
+
+// Runners run at a lower priority than the server, so busy functions can't starve it
+const RUNNER_PRIORITY = 10;
+
+// A runner with no request may use at most this share of a core (measured over IDLE_CPU_WINDOW)
+const IDLE_CPU_SHARE = 0.5;
+const IDLE_CPU_WINDOW = 1000;
+
+// /proc/<pid>/stat reports CPU time in clock ticks (USER_HZ, 100 on Linux)
+const CLOCK_TICKS_PER_SECOND = 100;
+
+// Memory and CPU are read from /proc, so these limits only apply on Linux
+const canCheckResources = existsSync("/proc/self/stat");
+
+// Runners never see the server's own environment (deploy keys, master key)
+const RUNNER_ENV_KEYS = ["PATH", "HOME", "TMPDIR", "TZ", "LANG", "NODE_ENV"];
+
+const pools = new Map(); // host -> { host, runners: Set, idle: [], queue: [], retired }
+const allRunners = new Set();
+let resourceTimer = null;
+let checkingResources = false;
+let nextRequestId = 1;
+
+/**
+ * Run a function request in one of the site's runners. modulePath is null for
+ * static files run through middleware (staticResponse is then { status, headers }).
+ * With inspect, the runner only loads the module and resolves
+ * { result: { config, defaultType } } or { result: { loadError } }.
+ * Resolves with one of:
+ *   { result, body? }  handler's return value (body is a ReadableStream for streamed bodies)
+ *   { missing: true }  module failed to load or has no handler for the method
+ *   { error }          handler threw
+ * Rejects with "Function timeout", "Function queue full" or a crash/memory error.
+ */
+export async function runFunction(host, { modulePath, middleware = [], staticResponse = null, inspect = false, req, timeout }) {
+  // The timeout covers waiting for a runner as well as running
+  const deadline = Date.now() + timeout;
+  const runner = await acquire(host, timeout);
+  const remaining = deadline - Date.now();
+  if (remaining <= 0) {
+    release(runner);
+    throw new Error("Function timeout");
+  }
+
+  const id = nextRequestId++;
+
+  return new Promise((resolve, reject) => {
+    runner.call = { id, resolve, reject, controller: null };
+    runner.timer = setTimeout(() => kill(runner, "Function timeout"), remaining);
+    runner.proc.send({ type: "request", id, modulePath, middleware, staticResponse, inspect, req });
+  });
+}
+
+/**
+ * Replace a site's runners (call after deploy). Idle runners stop now,
+ * busy ones once their current request finishes.
+ */
+export function retireFunctionRunners(host) {
+  const retiring = host ? [pools.get(host)].filter(Boolean) : [...pools.values()];
+
+  for (const pool of retiring) {
+    pools.delete(pool.host);
+    pool.retired = true;
+    for (const runner of pool.idle.splice(0)) {
+      kill(runner);
+    }
+  }
+}
+
+/**
+ * Kill every runner (server shutdown)
+ */
+export function stopFunctionRunners() {
+  for (const runner of allRunners) {
+    kill(runner);
+  }
+}
+
+function getPool(host) {
+  if (!pools.has(host)) {
+    pools.set(host, { host, runners: new Set(), idle: [], queue: [], retired: false });
+  }
+  return pools.get(host);
+}
+
+/**
+ * Get an idle runner, start one, or wait in the queue for up to timeout ms
+ */
+function acquire(host, timeout) {
+  const pool = getPool(host);
+
+  const runner = pool.idle.pop();
+  if (runner) {
+    clearTimeout(runner.idleTimer);
+    return Promise.resolve(runner);
+  }
+
+  if (pool.runners.size < FUNCTION_RUNNERS) {
+    return spawnRunner(pool);
+  }
+
+  if (pool.queue.length >= MAX_QUEUED_REQUESTS) {
+    return Promise.reject(new Error("Function queue full"));
+  }
+  return new Promise((resolve, reject) => {
+    let expired = false;
+    const timer = setTimeout(() => {
+      expired = true;
+      const index = pool.queue.indexOf(waiter);
+      if (index !== -1) pool.queue.splice(index, 1);
+      reject(new Error("Function timeout"));
+    }, timeout);
+
+    // A runner can still arrive after expiry (one was being started for us); pass it on
+    const waiter = {
+      resolve(runner) {
+        clearTimeout(timer);
+        if (expired) release(runner);
+        else resolve(runner);
+      },
+      reject(err) {
+        clearTimeout(timer);
+        reject(err);
+      },
+    };
+    pool.queue.push(waiter);
+  });
+}
+
+function release(runner) {
+  const { pool } = runner;
+  runner.call = null;
+
+  if (pool.retired) {
+    kill(runner);
+    return;
+  }
+
+  const waiter = pool.queue.shift();
+  if (waiter) {
+    waiter.resolve(runner);
+    return;
+  }
+
+  runner.idleCpu = null;
+  pool.idle.push(runner);
+  runner.idleTimer = setTimeout(() => kill(runner), IDLE_TIMEOUT);
+  runner.idleTimer.unref();
+}
+
+/**
+ * Start a runner and wait for its ready message
+ */
+function spawnRunner(pool) {
+  const env = {};
+  for (const key of RUNNER_ENV_KEYS) {
+    if (process.env[key] !== undefined) env[key] = process.env[key];
+  }
+
+  const runner = { pool, proc: null, call: null, timer: null, idleTimer: null, idleCpu: null, dead: false };
+
+  return new Promise((resolve, reject) => {
+    const readyTimer = setTimeout(() => {
+      kill(runner);
+      reject(new Error("Function runner did not start"));
+    }, READY_TIMEOUT);
+
+    runner.proc = Bun.spawn([process.execPath, "--smol", RUNNER_PATH], {
+      env,
+      stdio: ["ignore", "inherit", "inherit"],
+      ipc(message) {
+        if (message?.type === "ready") {
+          clearTimeout(readyTimer);
+          resolve(runner);
+        } else {
+          handleMessage(runner, message);
+        }
+      },
+    });
+
+    try {
+      os.setPriority(runner.proc.pid, RUNNER_PRIORITY);
+    } catch {
+      // Not permitted on this system; runners keep the server's priority
+    }
+
+    pool.runners.add(runner);
+    allRunners.add(runner);
+    startResourceChecks();
+
+    runner.proc.exited.then((code) => {
+      clearTimeout(readyTimer);
+      if (!runner.dead) {
+        console.error(`Function runner ${runner.proc.pid} for ${pool.host} exited with code ${code}`);
+        kill(runner, "Function process crashed");
+      }
+      reject(new Error("Function runner did not start"));
+    });
+  });
+}
+
+function handleMessage(runner, message) {
+  const { call } = runner;
+
+  // Publishing may happen outside a request (e.g. from a timer)
+  if (message.type === "publish") {
+    publish(`${runner.pool.host}:${message.channel}`, message.data);
+    return;
+  }
+
+  if (!call || message.id !== call.id) return;
+
+  switch (message.type) {
+    case "result":
+      clearTimeout(runner.timer);
+      if (message.result?.stream) {
+        const body = new ReadableStream({
+          start(controller) {
+            call.controller = controller;
+          },
+          cancel() {
+            runner.proc.send({ type: "cancel", id: call.id });
+          },
+        });
+        call.resolve({ result: message.result, body });
+      } else {
+        call.resolve({ result: message.result });
+        release(runner);
+      }
+      break;
+    case "chunk":
+      try {
+        call.controller?.enqueue(message.chunk);
+      } catch {
+        // Client went away; the runner will see the cancel
+      }
+      break;
+    case "end":
+      try {
+        call.controller?.close();
+      } catch {
+        // Already closed or cancelled
+      }
+      release(runner);
+      break;
+    case "missing":
+      clearTimeout(runner.timer);
+      call.resolve({ missing: true });
+      release(runner);
+      break;
+    case "error":
+      clearTimeout(runner.timer);
+      call.resolve({ error: message.message });
+      release(runner);
+      break;
+  }
+}
+
+/**
+ * Kill a runner. With a reason, its current request fails with that error.
+ * Requests waiting for a runner get a fresh one.
+ */
+function kill(runner, reason) {
+  if (runner.dead) return;
+  runner.dead = true;
+
+  clearTimeout(runner.timer);
+  clearTimeout(runner.idleTimer);
+  runner.proc?.kill("SIGKILL");
+
+  const { pool, call } = runner;
+  pool.runners.delete(runner);
+  allRunners.delete(runner);
+  const idleIndex = pool.idle.indexOf(runner);
+  if (idleIndex !== -1) pool.idle.splice(idleIndex, 1);
+
+  if (call) {
+    const err = new Error(reason || "Function runner stopped");
+    if (call.controller) {
+      try {
+        call.controller.error(err);
+      } catch {
+        // Stream already finished
+      }
+    } else {
+      call.reject(err);
+    }
+    runner.call = null;
+  }
+
+  const waiter = pool.queue.shift();
+  if (waiter) {
+    spawnRunner(pool).then(waiter.resolve, waiter.reject);
+  }
+
+  if (allRunners.size === 0) {
+    clearInterval(resourceTimer);
+    resourceTimer = null;
+  }
+}
+
+function startResourceChecks() {
+  if (!canCheckResources || resourceTimer) return;
+
+  resourceTimer = setInterval(checkResources, RESOURCE_CHECK_INTERVAL);
+  resourceTimer.unref();
+}
+
+/**
+ * Kill runners over the memory limit, and runners that keep using CPU
+ * while they have no request. Skips a tick if the last sweep is still
+ * reading /proc.
+ */
+async function checkResources() {
+  if (checkingResources) return;
+  checkingResources = true;
+
+  try {
+    await Promise.all([...allRunners].map(checkRunner));
+  } finally {
+    checkingResources = false;
+  }
+}
+
+async function checkRunner(runner) {
+  const { pid } = runner.proc;
+  const [rss, cpuTicks] = await Promise.all([readRss(pid), readCpuTicks(pid)]);
+  if (runner.dead) return;
+
+  if (rss > FUNCTION_MEMORY_LIMIT) {
+    console.error(`Function runner ${pid} for ${runner.pool.host} exceeded the memory limit`);
+    kill(runner, "Function exceeded memory limit");
+    return;
+  }
+
+  // Requests are bounded by their timeout; idle runners are measured over a window
+  if (!runner.pool.idle.includes(runner)) {
+    runner.idleCpu = null;
+    return;
+  }
+
+  const now = Date.now();
+  if (!runner.idleCpu) {
+    runner.idleCpu = { ticks: cpuTicks, at: now };
+    return;
+  }
+
+  const elapsed = now - runner.idleCpu.at;
+  if (elapsed < IDLE_CPU_WINDOW) return;
+
+  const cpuMs = ((cpuTicks - runner.idleCpu.ticks) / CLOCK_TICKS_PER_SECOND) * 1000;
+  if (cpuMs > elapsed * IDLE_CPU_SHARE) {
+    console.error(`Function runner ${pid} for ${runner.pool.host} kept using CPU between requests`);
+    kill(runner);
+    return;
+  }
+  runner.idleCpu = { ticks: cpuTicks, at: now };
+}
+
+/**
+ * Resident memory of a process in bytes (0 if it's gone)
+ */
+async function readRss(pid) {
+  try {
+    const status = await fs.readFile(`/proc/${pid}/status`, "utf8");
+    const match = status.match(/^VmRSS:\s+(\d+) kB/m);
+    return match ? Number(match[1]) * 1024 : 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * User + system CPU time of a process in clock ticks (0 if it's gone)
+ */
+async function readCpuTicks(pid) {
+  try {
+    const stat = await fs.readFile(`/proc/${pid}/stat`, "utf8");
+    // Fields after the parenthesised command name start at field 3; utime and stime are 14 and 15
+    const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+    return Number(fields[11]) + Number(fields[12]);
+  } catch {
+    return 0;
+  }
+}
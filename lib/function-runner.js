@@ -0,0 +1,148 @@
+/**
+ * Function runner process
+ *
+ * Spawned by lib/function-pool.js, one pool per site. Runs one request at a
+ * time so a timeout can kill the whole process without touching other requests.
+ * A request runs its _middleware.js chain, then the function handler (or, for
+ * static files, a stand-in for the file's response).
+ * req.publish and req.subscribe are forwarded to the server's channels over IPC.
+ */
+
+// Returned by req.subscribe; the server swaps it for a real SSE stream
+const SUBSCRIBE_KEY = "__bunpaasSubscribe";
+
+// Marks the response of a static file passed through middleware
+const STATIC_KEY = "__bunpaasStatic";
+
+// Streamed bodies still being sent (request id -> reader)
+const readers = new Map();
+
+process.on("message", (message) => {
+  if (message?.type === "request") {
+    run(message);
+  } else if (message?.type === "cancel") {
+    readers.get(message.id)?.cancel().catch(() => {});
+  }
+});
+
+// The server went away; nothing left to answer
+process.on("disconnect", () => process.exit(0));
+
+process.send({ type: "ready" });
+
+async function run({ id, modulePath, middleware, staticResponse, inspect, req }) {
+  if (inspect) {
+    await sendExports(id, modulePath);
+    return;
+  }
+
+  // Middleware that fails to load must not be skipped (it may guard the route)
+  const chain = [];
+  for (const middlewarePath of middleware) {
+    try {
+      const { default: fn } = await import(middlewarePath);
+      if (typeof fn !== "function") throw new Error("Middleware must export a default function");
+      chain.push(fn);
+    } catch (err) {
+      process.send({ type: "error", id, message: `Error loading middleware ${middlewarePath}: ${err?.stack || err}` });
+      return;
+    }
+  }
+
+  // Static requests end the chain with the file's status and headers
+  let handler = () => ({ ...staticResponse, [STATIC_KEY]: true });
+  if (modulePath) {
+    handler = null;
+    try {
+      const functionModule = await import(modulePath);
+      const methodName = req.method.toLowerCase();
+      handler =
+        functionModule[methodName] ||
+        (methodName === "delete" ? functionModule.del : null) ||
+        functionModule.default;
+    } catch (err) {
+      console.error(`Error loading function ${modulePath}:`, err);
+    }
+
+    if (!handler || typeof handler !== "function") {
+      process.send({ type: "missing", id });
+      return;
+    }
+  }
+
+  const funcReq = {
+    ...req,
+    body: req.body instanceof Uint8Array ? Buffer.from(req.body) : req.body,
+    subscribe: (channel) => ({ [SUBSCRIBE_KEY]: String(channel) }),
+    publish: (channel, data) => process.send({ type: "publish", channel: String(channel), data }),
+  };
+
+  // Each middleware gets next(), which runs the rest of the chain and returns its response
+  const dispatch = (index) => {
+    if (index === chain.length) return handler(funcReq);
+    let called = false;
+    return chain[index](funcReq, async () => {
+      if (called) throw new Error("next() called more than once");
+      called = true;
+      return dispatch(index + 1);
+    });
+  };
+
+  let result;
+  try {
+    result = await dispatch(0);
+  } catch (err) {
+    process.send({ type: "error", id, message: err?.stack || String(err) });
+    return;
+  }
+
+  const body = result?.body;
+  if (body instanceof ReadableStream) {
+    sendResult(id, { ...result, body: undefined, stream: true });
+    await streamBody(id, body);
+  } else {
+    sendResult(id, result);
+  }
+}
+
+/**
+ * Report what a module exports without running it: its `export const config`
+ * (read before the server accepts a body) and the type of its default export.
+ * Load errors are reported as { loadError } so deploy validation can show them.
+ */
+async function sendExports(id, modulePath) {
+  let functionModule;
+  try {
+    functionModule = await import(modulePath);
+  } catch (err) {
+    sendResult(id, { loadError: err?.message || String(err) });
+    return;
+  }
+  sendResult(id, { config: functionModule.config, defaultType: typeof functionModule.default });
+}
+
+function sendResult(id, result) {
+  try {
+    process.send({ type: "result", id, result: result ?? null });
+  } catch (err) {
+    process.send({ type: "error", id, message: `Function returned a value that can't be sent: ${err.message}` });
+  }
+}
+
+async function streamBody(id, stream) {
+  const reader = stream.getReader();
+  readers.set(id, reader);
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      process.send({ type: "chunk", id, chunk: value });
+    }
+  } catch (err) {
+    console.error("Function stream error:", err);
+  } finally {
+    readers.delete(id);
+    process.send({ type: "end", id });
+  }
+}
@@ -1,15 +1,23 @@
 import path from "path";
 import { getSiteEnv } from "./sites.js";
-import { subscribe, publish } from "./channels.js";
-import { DATA_DIR, isDev } from "./config.js";
+import { subscribe } from "./channels.js";
+import { runFunction, retireFunctionRunners } from "./function-pool.js";
+import { getRouteTable, clearRouteTables, matchRoute, middlewareForDirectory, moduleSpecifier } from "./routes.js";
+import { getCompressionConfig, compressBody } from "./compression.js";
+import { readBody, parseBody } from "./body.js";
+import { formatEtag, etagForEncoding, isNotModified, notModified } from "./conditional.js";
+import { DATA_DIR } from "./config.js";
 
 const FUNCTION_TIMEOUT = 60000;
-const MAX_FUNCTION_MODULE_CACHE = 1000;
-const MAX_FUNCTION_PATH_CACHE = 5000;
+const DEFAULT_BODY_LIMIT = 10 * 1024 * 1024;
+const MAX_FUNCTION_CONFIG_CACHE = 1000;
 
-// Caches (cleared on deploy)
-const functionCache = new Map();
-const functionPathCache = new Map();
+// Set by the runner (see lib/function-runner.js)
+const SUBSCRIBE_KEY = "__bunpaasSubscribe";
+const STATIC_KEY = "__bunpaasStatic";
+
+// `export const config` of each function module version (module specifier -> config)
+const functionConfigCache = new Map();
 
 /**
  * Handle a function request - returns Response or null
@@ -18,281 +26,219 @@ export async function handleFunction(req, ctx) {
   const { sitePath, host, siteConfig } = ctx;
   const functionsDir = path.join(sitePath, "_functions");
 
-  // Check if functions directory exists
-  const dir = Bun.file(functionsDir);
-  if (!(await dirExists(functionsDir))) {
-    return null;
-  }
-
-  // Find matching function
-  const functionFile = await findFunctionFile(functionsDir, ctx.path);
-  if (!functionFile) return null;
+  // Find matching function in the release's route table
+  const route = matchRoute(await getRouteTable(functionsDir), ctx.path);
+  if (!route) return null;
 
-  // Load function module
-  const functionModule = await loadFunction(functionFile.path);
-  if (!functionModule) return null;
+  const modulePath = await moduleSpecifier(route.entry);
+  if (!modulePath) return null;
 
-  // Get handler for method
-  const methodName = req.method.toLowerCase();
-  const handler =
-    functionModule[methodName] ||
-    (methodName === "delete" ? functionModule.del : null) ||
-    functionModule.default;
-
-  if (!handler || typeof handler !== "function") return null;
-
-  // Get env and build request object for function
-  const env = await getSiteEnv(DATA_DIR, host);
-
-  // Parse body based on content type
+  // Read and parse the body within the function's (or site's) size limit
   let body = null;
-  const contentType = req.headers.get("content-type") || "";
-  if (contentType.includes("application/json")) {
+  if (req.body) {
+    const { config, response } = await getFunctionConfig(ctx, modulePath, route.entry.file);
+    if (response) return response;
+
+    const limit = config.bodyLimit || siteConfig?.bodyLimit || DEFAULT_BODY_LIMIT;
     try {
-      body = await req.json();
-    } catch {
-      body = null;
+      body = await parseBody(await readBody(req, limit), req.headers.get("content-type") || "");
+    } catch (err) {
+      if (!err.status) throw err;
+      return Response.json({ error: err.message }, { status: err.status });
     }
-  } else if (contentType.includes("application/octet-stream")) {
-    body = Buffer.from(await req.arrayBuffer());
-  } else if (contentType.includes("text/")) {
-    body = await req.text();
   }
 
+  // Get env and build request object for function
+  const env = await getSiteEnv(DATA_DIR, host);
+
   const funcReq = {
     method: req.method,
     path: ctx.path,
     query: ctx.query,
     headers: ctx.headers,
     body,
-    params: functionFile.params,
+    params: route.params,
     env,
-    subscribe: (channel) => subscribe(`${host}:${channel}`),
-    publish: (channel, data) => publish(`${host}:${channel}`, data),
   };
 
-  // Execute with timeout
-  const timeout = siteConfig?.functionTimeout || FUNCTION_TIMEOUT;
+  const middleware = await Promise.all(route.middleware.map(moduleSpecifier));
 
-  try {
-    const result = await executeWithTimeout(handler(funcReq), timeout);
-    return buildResponse(result);
-  } catch (err) {
-    if (err.message === "Function timeout") {
-      return Response.json({ error: "Function timed out" }, { status: 504 });
-    }
-    console.error(`Function error in ${functionFile.path}:`, err);
-    return Response.json({ error: "Internal function error" }, { status: 500 });
+  const outcome = await execute(ctx, { modulePath, middleware, req: funcReq }, route.entry.file);
+  if (outcome.response) return outcome.response;
+  if (outcome.missing) return null;
+
+  let result = outcome.result;
+  if (typeof result?.[SUBSCRIBE_KEY] === "string") {
+    result = subscribe(`${host}:${result[SUBSCRIBE_KEY]}`);
+  } else if (outcome.body) {
+    result = { ...result, body: outcome.body };
   }
+
+  return buildResponse(result, req, getCompressionConfig(siteConfig));
 }
 
-function buildResponse(result) {
-  if (!result) {
-    return new Response(null, { status: 204 });
-  }
+/**
+ * Run _middleware.js files in front of a static file response when site.json
+ * has "middleware": "all". Middleware sees the file's status and headers from
+ * next() and may change them, or return its own response instead of the file.
+ */
+export async function applyStaticMiddleware(req, ctx, response) {
+  if (!response || ctx.siteConfig?.middleware !== "all") return response;
 
-  const status = result.status || 200;
-  const headers = new Headers(result.headers || {});
-  const body = result.body;
+  const table = await getRouteTable(path.join(ctx.sitePath, "_functions"));
+  // A directory index (/admin served as admin/index.html) is guarded by the directory's middleware
+  const isIndex = ctx.path.endsWith("/") || (await Bun.file(path.join(ctx.sitePath, ctx.path, "index.html")).exists());
+  const reqDir = isIndex ? ctx.path : path.posix.dirname(ctx.path);
+  const entries = middlewareForDirectory(table, reqDir);
+  if (entries.length === 0) return response;
 
-  if (body === undefined || body === null) {
-    return new Response(null, { status, headers });
-  }
+  const funcReq = {
+    method: req.method,
+    path: ctx.path,
+    query: ctx.query,
+    headers: ctx.headers,
+    body: null,
+    params: {},
+    env: await getSiteEnv(DATA_DIR, ctx.host),
+  };
+  const staticResponse = { status: response.status, headers: Object.fromEntries(response.headers) };
 
-  if (body instanceof ReadableStream) {
-    return new Response(body, { status, headers });
-  }
+  const middleware = await Promise.all(entries.map(moduleSpecifier));
+  const outcome = await execute(ctx, { modulePath: null, middleware, staticResponse, req: funcReq }, entries.at(-1).file);
+  if (outcome.response) return outcome.response;
 
-  if (Buffer.isBuffer(body) || body instanceof Uint8Array) {
-    return new Response(body, { status, headers });
+  let result = outcome.result;
+  if (result?.[STATIC_KEY]) {
+    return new Response(response.body, {
+      status: result.status || response.status,
+      headers: result.headers || {},
+    });
   }
 
-  if (typeof body === "object") {
-    headers.set("Content-Type", "application/json");
-    return new Response(JSON.stringify(body), { status, headers });
+  if (typeof result?.[SUBSCRIBE_KEY] === "string") {
+    result = subscribe(`${ctx.host}:${result[SUBSCRIBE_KEY]}`);
+  } else if (outcome.body) {
+    result = { ...result, body: outcome.body };
   }
-
-  return new Response(String(body), { status, headers });
+  return buildResponse(result, req, getCompressionConfig(ctx.siteConfig));
 }
 
-async function findFunctionFile(functionsDir, reqPath) {
-  const cacheKey = `${functionsDir}:${reqPath}`;
-
-  if (!isDev && functionPathCache.has(cacheKey)) {
-    return functionPathCache.get(cacheKey);
+/**
+ * A function's `export const config` ({} if it has none), read by a runner
+ * once per module version. Returns { config } or { response } on failure.
+ */
+async function getFunctionConfig(ctx, modulePath, label) {
+  if (functionConfigCache.has(modulePath)) {
+    return { config: functionConfigCache.get(modulePath) };
   }
 
-  const result = await findFunctionFileUncached(functionsDir, reqPath);
+  const outcome = await execute(ctx, { modulePath, inspect: true }, label);
+  if (outcome.response) return outcome;
 
-  if (!isDev) {
-    functionPathCache.set(cacheKey, result);
-    enforceCacheLimit(functionPathCache, MAX_FUNCTION_PATH_CACHE);
+  const config = outcome.result?.config || {};
+  functionConfigCache.set(modulePath, config);
+  while (functionConfigCache.size > MAX_FUNCTION_CONFIG_CACHE) {
+    functionConfigCache.delete(functionConfigCache.keys().next().value);
   }
-
-  return result;
+  return { config };
 }
 
-async function findFunctionFileUncached(functionsDir, reqPath) {
-  const segments = reqPath.replace(/^\//, "").split("/").filter(Boolean);
-  if (segments.length === 0) segments.push("index");
+/**
+ * Run a job in the site's runner process; a timeout kills the process.
+ * Failures come back as { response } with the error status.
+ */
+async function execute(ctx, job, label) {
+  const timeout = ctx.siteConfig?.functionTimeout || FUNCTION_TIMEOUT;
 
-  // Try direct match
-  const directPath = path.join(functionsDir, ...segments) + ".js";
-  if (await fileExists(directPath)) {
-    return { path: directPath, params: {} };
+  let outcome;
+  try {
+    outcome = await runFunction(ctx.host, { ...job, timeout });
+  } catch (err) {
+    if (err.message === "Function timeout") {
+      return { response: Response.json({ error: "Function timed out" }, { status: 504 }) };
+    }
+    if (err.message === "Function queue full") {
+      return { response: Response.json({ error: "Too many function requests" }, { status: 503 }) };
+    }
+    console.error(`Function error in ${label}:`, err.message);
+    return { response: Response.json({ error: "Internal function error" }, { status: 500 }) };
   }
 
-  // Try index
-  const indexPath = path.join(functionsDir, ...segments, "index.js");
-  if (await fileExists(indexPath)) {
-    return { path: indexPath, params: {} };
+  if (outcome.error) {
+    console.error(`Function error in ${label}:`, outcome.error);
+    return { response: Response.json({ error: "Internal function error" }, { status: 500 }) };
   }
 
-  // Try dynamic routes
-  return findDynamicRoute(functionsDir, segments, {});
+  return outcome;
 }
 
-async function findDynamicRoute(baseDir, segments, params) {
-  if (segments.length === 0) return null;
-
-  const [current, ...rest] = segments;
-
-  // Try exact directory
-  const exactDir = path.join(baseDir, current);
-  if (await dirExists(exactDir)) {
-    if (rest.length === 0) {
-      const indexPath = path.join(exactDir, "index.js");
-      if (await fileExists(indexPath)) {
-        return { path: indexPath, params };
-      }
-    } else {
-      const directFile = path.join(exactDir, ...rest) + ".js";
-      if (await fileExists(directFile)) {
-        return { path: directFile, params };
-      }
-      const result = await findDynamicRoute(exactDir, rest, params);
-      if (result) return result;
-    }
+async function buildResponse(result, req, compression) {
+  if (!result) {
+    return new Response(null, { status: 204 });
   }
 
-  // Try dynamic routes
-  try {
-    const entries = await Array.fromAsync(new Bun.Glob("*").scan({ cwd: baseDir, onlyFiles: false }));
-
-    for (const name of entries) {
-      const fullPath = path.join(baseDir, name);
-      const isDir = await dirExists(fullPath);
-
-      const dirMatch = name.match(/^\[(\w+)\]$/);
-      if (dirMatch && isDir) {
-        const paramName = dirMatch[1];
-        const newParams = { ...params, [paramName]: current };
-        const dynamicDir = fullPath;
-
-        if (rest.length === 0) {
-          const indexPath = path.join(dynamicDir, "index.js");
-          if (await fileExists(indexPath)) {
-            return { path: indexPath, params: newParams };
-          }
-        } else {
-          const directFile = path.join(dynamicDir, ...rest) + ".js";
-          if (await fileExists(directFile)) {
-            return { path: directFile, params: newParams };
-          }
-          const result = await findDynamicRoute(dynamicDir, rest, newParams);
-          if (result) return result;
-        }
-      }
-
-      const fileMatch = name.match(/^\[(\w+)\]\.js$/);
-      if (fileMatch && !isDir && rest.length === 0) {
-        return {
-          path: fullPath,
-          params: { ...params, [fileMatch[1]]: current },
-        };
-      }
+  const status = result.status || 200;
+  const headers = new Headers(result.headers || {});
+  const body = result.body;
+
+  // Functions opt into conditional requests by returning an etag
+  if (result.etag !== undefined && result.etag !== null) {
+    const etag = formatEtag(result.etag);
+    headers.set("ETag", etag);
+    if (status >= 200 && status < 300 && isNotModified(req.method, req.headers, { etag })) {
+      discardStream(body);
+      return notModified(headers);
     }
-  } catch {
-    // Directory doesn't exist
   }
 
-  return null;
-}
-
-async function loadFunction(functionPath) {
-  try {
-    // Resolve symlinks to get real path and mtime
-    const fs = await import("fs/promises");
-    const realPath = await fs.realpath(functionPath);
-    const stat = await fs.stat(realPath);
-    const mtime = stat.mtimeMs;
-
-    // Cache key includes mtime for automatic invalidation
-    const cacheKey = `${realPath}:${mtime}`;
-
-    if (functionCache.has(cacheKey)) {
-      return functionCache.get(cacheKey);
-    }
+  if (body === undefined || body === null) {
+    return new Response(null, { status, headers });
+  }
 
-    // Import with mtime query param to bust Bun's module cache
-    const module = await import(realPath + `?t=${mtime}`);
-    functionCache.set(cacheKey, module);
-    enforceCacheLimit(functionCache, MAX_FUNCTION_MODULE_CACHE);
-    return module;
-  } catch (err) {
-    console.error(`Error loading function ${functionPath}:`, err);
-    return null;
+  if (req.method === "HEAD") {
+    discardStream(body);
   }
-}
 
-function executeWithTimeout(promise, timeout) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("Function timeout")), timeout)
-    ),
-  ]);
-}
+  if (body instanceof ReadableStream) {
+    return new Response(body, { status, headers });
+  }
 
-async function fileExists(filePath) {
-  return Bun.file(filePath).exists();
-}
+  let payload;
+  if (Buffer.isBuffer(body) || body instanceof Uint8Array) {
+    payload = body;
+  } else if (typeof body === "object") {
+    headers.set("Content-Type", "application/json");
+    payload = JSON.stringify(body);
+  } else {
+    payload = String(body);
+  }
 
-async function dirExists(dirPath) {
-  try {
-    const fs = await import("fs/promises");
-    const stat = await fs.stat(dirPath);
-    return stat.isDirectory();
-  } catch {
-    return false;
+  // Buffered bodies are gzipped for clients that accept it
+  payload = await compressBody(payload, headers, req.headers.get("accept-encoding"), compression);
+  if (headers.has("ETag") && headers.get("Content-Encoding") === "gzip") {
+    headers.set("ETag", etagForEncoding(headers.get("ETag"), "gzip"));
   }
+  return new Response(payload, { status, headers });
 }
 
-function enforceCacheLimit(cache, maxSize) {
-  while (cache.size > maxSize) {
-    const oldestKey = cache.keys().next().value;
-    cache.delete(oldestKey);
+/**
+ * Cancel a streamed body that won't be sent, so its runner is freed
+ */
+function discardStream(body) {
+  if (body instanceof ReadableStream) {
+    body.cancel().catch(() => {});
   }
 }
 
 export function clearFunctionCache(siteHost) {
-  if (!siteHost) {
-    functionCache.clear();
-    functionPathCache.clear();
-    return;
-  }
-
-  const sitePrefix = path.join(DATA_DIR, "sites", siteHost);
-  for (const key of functionCache.keys()) {
-    // Key format is now "realPath:mtime", extract path part
-    const keyPath = key.split(':')[0];
-    if (keyPath.startsWith(sitePrefix)) {
-      functionCache.delete(key);
-    }
-  }
-  for (const key of functionPathCache.keys()) {
-    if (key.startsWith(sitePrefix)) {
-      functionPathCache.delete(key);
+  // Fresh runners load the new release's modules
+  retireFunctionRunners(siteHost);
+
+  const sitePrefix = siteHost ? path.join(DATA_DIR, "sites", siteHost) + "/" : null;
+  clearRouteTables(sitePrefix);
+  for (const key of functionConfigCache.keys()) {
+    if (!sitePrefix || key.startsWith(sitePrefix)) {
+      functionConfigCache.delete(key);
     }
   }
 }
@@ -0,0 +1,143 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { isDev } from "./config.js";
+import { compilePathPattern } from "./paths.js";
+
+// Parsed _headers rules per site path (cleared on deploy)
+const headersCache = new Map(); // sitePath -> { rules, mtime }
+
+/**
+ * Parse _headers content. A path line starts a rule; indented lines below it
+ * set a header ("Name: value") or remove one ("! Name"). Paths use the
+ * wildcard syntax of compilePathPattern.
+ * Invalid lines are skipped and reported in errors as { line, message }.
+ *
+ *   /assets/*
+ *     Cache-Control: public, max-age=31536000, immutable
+ *   /app/*
+ *     Content-Security-Policy: default-src 'self'
+ *     ! X-Frame-Options
+ */
+export function parseHeaders(content) {
+  const rules = [];
+  const errors = [];
+  let rule = null;
+
+  content.split("\n").forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+
+    const lineNumber = index + 1;
+
+    if (!/^\s/.test(line)) {
+      if (!trimmed.startsWith("/")) {
+        errors.push({ line: lineNumber, message: `Path must start with "/": ${trimmed}` });
+        rule = null;
+        return;
+      }
+      try {
+        rule = { path: trimmed, pattern: compilePathPattern(trimmed), set: new Map(), remove: [] };
+      } catch {
+        errors.push({ line: lineNumber, message: `Invalid path pattern (duplicate placeholder?): ${trimmed}` });
+        rule = null;
+        return;
+      }
+      rules.push(rule);
+      return;
+    }
+
+    if (!rule) {
+      errors.push({ line: lineNumber, message: `Header without a path: ${trimmed}` });
+      return;
+    }
+
+    if (trimmed.startsWith("!")) {
+      const name = trimmed.slice(1).trim();
+      if (!isHeaderName(name)) {
+        errors.push({ line: lineNumber, message: `Invalid header name: ${name}` });
+        return;
+      }
+      rule.remove.push(name);
+      return;
+    }
+
+    const colon = trimmed.indexOf(":");
+    const name = colon === -1 ? "" : trimmed.slice(0, colon).trim();
+    if (!isHeaderName(name)) {
+      errors.push({ line: lineNumber, message: `Expected "Name: value", got "${trimmed}"` });
+      return;
+    }
+
+    // Repeated headers in one rule are combined, as HTTP allows
+    const value = trimmed.slice(colon + 1).trim();
+    const key = name.toLowerCase();
+    const existing = rule.set.get(key);
+    rule.set.set(key, existing ? { name, value: `${existing.value}, ${value}` } : { name, value });
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Apply matching _headers rules to a response, in file order (later rules win)
+ */
+export async function applyHeaderRules(response, sitePath, reqPath) {
+  const rules = (await loadHeaderRules(sitePath)).filter((rule) => rule.pattern.test(reqPath));
+  if (rules.length === 0) return response;
+
+  const headers = new Headers(response.headers);
+  for (const rule of rules) {
+    for (const name of rule.remove) {
+      headers.delete(name);
+    }
+    for (const { name, value } of rule.set.values()) {
+      headers.set(name, value);
+    }
+  }
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/**
+ * Clear cached rules for a site path (call after deploy)
+ */
+export function clearHeadersCache(sitePath) {
+  headersCache.delete(sitePath);
+}
+
+/**
+ * Load and parse _headers for a site (with caching)
+ * - In production: cache until deploy
+ * - In dev: check mtime for changes
+ */
+async function loadHeaderRules(sitePath) {
+  const headersPath = path.join(sitePath, "_headers");
+  const cached = headersCache.get(sitePath);
+
+  if (!isDev && cached) {
+    return cached.rules;
+  }
+
+  let mtime = 0;
+  try {
+    mtime = (await fs.stat(headersPath)).mtimeMs;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  if (cached && cached.mtime === mtime) {
+    return cached.rules;
+  }
+
+  const rules = mtime ? parseHeaders(await fs.readFile(headersPath, "utf8")).rules : [];
+  headersCache.set(sitePath, { rules, mtime });
+  return rules;
+}
+
+function isHeaderName(name) {
+  return /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(name);
+}
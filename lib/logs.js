@@ -41,28 +41,30 @@ export function logDeploy(host, entry) {
 }
 
 /**
- * Get request logs for a site
+ * Get request logs for a site (including entries not yet flushed)
  */
 export async function getRequestLogs(host) {
   const logFile = path.join(DATA_DIR, "logs", `${host}-requests.json`);
+  const pending = requestLogs.get(host) || [];
   try {
     const content = await fs.readFile(logFile, "utf8");
-    return JSON.parse(content);
+    return [...pending, ...JSON.parse(content)].slice(0, MAX_REQUEST_LOGS);
   } catch {
-    return [];
+    return pending.slice(0, MAX_REQUEST_LOGS);
   }
 }
 
 /**
- * Get deploy logs for a site
+ * Get deploy logs for a site (including entries not yet flushed)
  */
 export async function getDeployLogs(host) {
   const logFile = path.join(DATA_DIR, "logs", `${host}-deploys.json`);
+  const pending = deployLogs.get(host) || [];
   try {
     const content = await fs.readFile(logFile, "utf8");
-    return JSON.parse(content);
+    return [...pending, ...JSON.parse(content)].slice(0, MAX_DEPLOY_LOGS);
   } catch {
-    return [];
+    return pending.slice(0, MAX_DEPLOY_LOGS);
   }
 }
 
@@ -1,10 +1,10 @@
 /**
- * Check basic auth - returns Response if auth failed, null if successful
+ * Check basic auth against the site's (decrypted) env - returns Response if auth failed, null if successful
  */
-export async function checkBasicAuth(req, site) {
+export async function checkBasicAuth(req, env) {
   // Get credentials from site env vars
-  const username = site.env?.ADMIN_USERNAME;
-  const passwordHash = site.env?.ADMIN_PASSWORD_HASH;
+  const username = env?.ADMIN_USERNAME;
+  const passwordHash = env?.ADMIN_PASSWORD_HASH;
 
   if (!username || !passwordHash) {
     return new Response("Auth not configured", { status: 500 });
@@ -0,0 +1,28 @@
+/**
+ * Compile a path pattern to a RegExp matching the whole request path.
+ * "*" matches anything (including slashes), ":name" matches one segment,
+ * and like _redirects, a trailing "/*" also matches the bare prefix
+ * ("/blog/*" matches "/blog"). Matches are captured as named groups:
+ * the first "*" as "splat", placeholders by name.
+ */
+export function compilePathPattern(pattern) {
+  const prefix = pattern.endsWith("/*") ? pattern.slice(0, -2) : null;
+  let splat = false;
+
+  const source = (prefix ?? pattern)
+    .split(/(\*|:[A-Za-z_][A-Za-z0-9_]*)/)
+    .map((part) => {
+      if (part === "*") return captureSplat();
+      if (part.startsWith(":")) return `(?<${part.slice(1)}>[^/]+)`;
+      return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+
+  return new RegExp(prefix === null ? `^${source}$` : `^${source}(?:/${captureSplat()})?$`);
+
+  function captureSplat() {
+    if (splat) return ".*";
+    splat = true;
+    return "(?<splat>.*)";
+  }
+}
@@ -0,0 +1,116 @@
+import { compilePathPattern } from "./paths.js";
+
+export const DEFAULT_PROXY_TIMEOUT = 30000;
+
+// Compiled "proxy" rules per site config rules array (replaced on reload/deploy)
+const proxyRulesCache = new WeakMap();
+
+// Hop-by-hop headers apply to a single connection and are never forwarded
+const HOP_BY_HOP_HEADERS = [
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "proxy-connection",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+];
+
+/**
+ * Find the first site.json "proxy" rule matching a request.
+ * Rules: { path, target, stripPrefix?, timeout? }. The upstream URL is the
+ * target plus the request path (minus stripPrefix) and query string.
+ */
+export function findUpstream(proxyRules, url) {
+  for (const rule of compileProxyRules(proxyRules)) {
+    if (!rule.pattern.test(url.pathname)) continue;
+
+    let reqPath = url.pathname;
+    if (rule.stripPrefix && reqPath.startsWith(rule.stripPrefix)) {
+      reqPath = reqPath.slice(rule.stripPrefix.length);
+      if (!reqPath.startsWith("/")) reqPath = "/" + reqPath;
+    }
+
+    return {
+      url: `${rule.base}${reqPath}${url.search}`,
+      timeout: rule.timeout ?? DEFAULT_PROXY_TIMEOUT,
+    };
+  }
+  return null;
+}
+
+function compileProxyRules(proxyRules) {
+  if (!proxyRules) return [];
+
+  let compiled = proxyRulesCache.get(proxyRules);
+  if (!compiled) {
+    compiled = proxyRules.map((rule) => {
+      const target = new URL(rule.target);
+      return {
+        ...rule,
+        pattern: compilePathPattern(rule.path),
+        base: `${target.origin}${target.pathname.replace(/\/$/, "")}`,
+      };
+    });
+    proxyRulesCache.set(proxyRules, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Forward a request to an upstream URL and stream the response back.
+ * The timeout covers waiting for the response headers; the body then streams
+ * for as long as the upstream keeps sending. Incoming X-Forwarded-For and
+ * X-Forwarded-Proto are only kept when the request came from a trusted
+ * proxy (trustProxy); otherwise they're replaced. peerIp is the address the
+ * request came from.
+ */
+export async function proxyRequest(req, upstreamUrl, { peerIp, trustProxy = false, timeout = DEFAULT_PROXY_TIMEOUT } = {}) {
+  const url = new URL(req.url);
+  const headers = new Headers(req.headers);
+  for (const name of [...HOP_BY_HOP_HEADERS, "host"]) {
+    headers.delete(name);
+  }
+
+  const forwardedFor = trustProxy ? req.headers.get("x-forwarded-for") : null;
+  const forwardedProto = trustProxy ? req.headers.get("x-forwarded-proto") : null;
+  headers.set("X-Forwarded-For", forwardedFor ? `${forwardedFor}, ${peerIp}` : peerIp);
+  headers.set("X-Forwarded-Host", req.headers.get("host") || url.host);
+  headers.set("X-Forwarded-Proto", forwardedProto || url.protocol.slice(0, -1));
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  let upstream;
+  try {
+    upstream = await fetch(upstreamUrl, {
+      method: req.method,
+      headers,
+      body: req.method === "GET" || req.method === "HEAD" ? undefined : req.body,
+      redirect: "manual",
+      decompress: false,
+      signal: controller.signal,
+    });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      return Response.json({ error: "Upstream timed out" }, { status: 504 });
+    }
+    console.error(`Proxy error for ${upstreamUrl}:`, err.message);
+    return Response.json({ error: "Bad gateway" }, { status: 502 });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const responseHeaders = new Headers(upstream.headers);
+  for (const name of HOP_BY_HOP_HEADERS) {
+    responseHeaders.delete(name);
+  }
+
+  return new Response(upstream.body, {
+    status: upstream.status,
+    statusText: upstream.statusText,
+    headers: responseHeaders,
+  });
+}
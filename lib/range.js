@@ -0,0 +1,98 @@
+import crypto from "crypto";
+
+// More ranges than this in one request are ignored and the full file is sent
+const MAX_RANGES = 32;
+
+/**
+ * Parse a Range header against a file size.
+ * Returns null when the header should be ignored (not bytes, malformed, too many
+ * ranges), otherwise a list of { start, end } (inclusive), sorted, with
+ * overlapping and adjacent ranges merged. An empty list means no range is
+ * satisfiable (416).
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(.+)$/i.exec(header.trim());
+  if (!match) return null;
+
+  const specs = match[1].split(",");
+  if (specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+    if (!parts || (parts[1] === "" && parts[2] === "")) return null;
+
+    const [, first, last] = parts;
+
+    // Suffix range: "-500" is the last 500 bytes
+    if (first === "") {
+      const length = Number(last);
+      if (length > 0 && size > 0) {
+        ranges.push({ start: Math.max(size - length, 0), end: size - 1 });
+      }
+      continue;
+    }
+
+    const start = Number(first);
+    if (last !== "" && Number(last) < start) return null;
+    if (start >= size) continue;
+
+    ranges.push({ start, end: last === "" ? size - 1 : Math.min(Number(last), size - 1) });
+  }
+
+  // Merged, so overlapping ranges ("0-,0-,0-") never send a byte twice
+  return mergeRanges(ranges);
+}
+
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const range of ranges.toSorted((a, b) => a.start - b.start)) {
+    const previous = merged.at(-1);
+    if (previous && range.start <= previous.end + 1) {
+      previous.end = Math.max(previous.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+/**
+ * 206 response for one or more satisfiable ranges of a file.
+ * Several ranges are sent as multipart/byteranges.
+ */
+export function rangeResponse(file, ranges, headers) {
+  const size = file.size;
+  const contentType = headers.get("Content-Type");
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    headers.set("Content-Range", `bytes ${start}-${end}/${size}`);
+    return new Response(file.slice(start, end + 1), { status: 206, headers });
+  }
+
+  const boundary = crypto.randomBytes(12).toString("hex");
+  headers.set("Content-Type", `multipart/byteranges; boundary=${boundary}`);
+
+  async function* parts() {
+    for (const { start, end } of ranges) {
+      yield `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`;
+      yield* file.slice(start, end + 1).stream();
+    }
+    yield `\r\n--${boundary}--\r\n`;
+  }
+
+  return new Response(parts(), { status: 206, headers });
+}
+
+/**
+ * 416 response for a Range that doesn't overlap the file
+ */
+export function rangeNotSatisfiable(size, headers) {
+  const kept = new Headers({ "Content-Range": `bytes */${size}` });
+  for (const name of ["ETag", "Last-Modified", "Accept-Ranges"]) {
+    const value = headers.get(name);
+    if (value) kept.set(name, value);
+  }
+  return new Response(null, { status: 416, headers: kept });
+}
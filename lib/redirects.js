@@ -1,59 +1,291 @@
+import { promises as fs } from "fs";
 import path from "path";
+import { isDev } from "./config.js";
+import { logDeploy } from "./logs.js";
+import { compilePathPattern } from "./paths.js";
+import { isConditionToken, parseCondition, matchesConditions, conditionVary } from "./conditions.js";
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const REWRITE_STATUS = 200;
+
+// Compiled _redirects matchers per site path (cleared on deploy)
+const redirectsCache = new Map(); // sitePath -> { matcher, mtime }
 
 /**
- * Load and parse _redirects file for a site
- * Format: /from /to [status]
+ * Load the compiled _redirects matcher for a site (with caching)
+ * - In production: cache until deploy
+ * - In dev: check mtime for changes
+ * Format: /from [key=value ...] /to [status][!] [Condition=value ...]
  * Example:
  *   /old /new 301
  *   /blog/* /posts/:splat
+ *   /users/:id /profile?id=:id
+ *   /store id=:id /products/:id 302
+ *   /app/* /index.html 200!
+ *   /api/* http://127.0.0.1:3000/:splat 200
+ *   / /fr/ 302 Language=fr
+ *   /* /beta/:splat 200 Cookie=beta
  */
-async function loadRedirects(sitePath) {
-  const file = Bun.file(path.join(sitePath, "_redirects"));
-  if (!(await file.exists())) {
-    return [];
+async function loadRedirects(sitePath, host) {
+  const redirectsPath = path.join(sitePath, "_redirects");
+  const cached = redirectsCache.get(sitePath);
+
+  if (!isDev && cached) {
+    return cached.matcher;
+  }
+
+  let mtime = 0;
+  try {
+    mtime = (await fs.stat(redirectsPath)).mtimeMs;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  if (cached && cached.mtime === mtime) {
+    return cached.matcher;
+  }
+
+  let rules = [];
+  if (mtime) {
+    const parsed = parseRedirects(await fs.readFile(redirectsPath, "utf8"));
+    for (const { line, message } of [...parsed.errors, ...parsed.warnings]) {
+      console.warn(`${redirectsPath}:${line}: ${message}`);
+    }
+
+    // Files edited in place skip deploy validation, so record problems in the site's deploy log
+    if (host && (parsed.errors.length > 0 || parsed.warnings.length > 0)) {
+      logDeploy(host, {
+        timestamp: new Date().toISOString(),
+        action: "load-redirects",
+        status: parsed.errors.length > 0 ? "error" : "warning",
+        errors: parsed.errors.map((entry) => ({ file: "_redirects", ...entry })),
+        warnings: parsed.warnings.map((entry) => ({ file: "_redirects", ...entry })),
+      });
+    }
+    rules = parsed.rules;
   }
 
-  const content = await file.text();
-  const redirects = [];
+  const matcher = compileMatcher(rules);
+  redirectsCache.set(sitePath, { matcher, mtime });
+  return matcher;
+}
+
+/**
+ * Clear the cached matcher for a site path (call after deploy)
+ */
+export function clearRedirectsCache(sitePath) {
+  redirectsCache.delete(sitePath);
+}
+
+/**
+ * Parse _redirects content. Invalid lines are skipped and reported in errors
+ * as { line, message } so deploys can reject them. Rules that can never match
+ * (same source and query as an earlier rule) are reported in warnings.
+ */
+export function parseRedirects(content) {
+  const rules = [];
+  const errors = [];
+  const warnings = [];
+  const seen = new Map(); // source + query -> line
 
-  for (const line of content.split("\n")) {
+  content.split("\n").forEach((line, index) => {
     const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith("#")) continue;
+    if (!trimmed || trimmed.startsWith("#")) return;
+
+    const lineNumber = index + 1;
+    const [from, ...parts] = trimmed.split(/\s+/);
+    if (!from.startsWith("/")) {
+      errors.push({ line: lineNumber, message: `Source must start with "/": ${from}` });
+      return;
+    }
+
+    // Query conditions sit between the source and the destination
+    const query = [];
+    while (parts.length > 0 && isQueryCondition(parts[0])) {
+      const [key, value] = splitOnce(parts.shift(), "=");
+      query.push({ key, value });
+    }
+
+    const [to, ...rest] = parts;
+    if (!to) {
+      errors.push({ line: lineNumber, message: `Expected "/from /to [status]", got "${trimmed}"` });
+      return;
+    }
+
+    // The status is optional, request conditions follow it
+    const statusStr = rest.length > 0 && !isConditionToken(rest[0]) ? rest.shift() : undefined;
+    const [, statusDigits, force] = /^(\d+)(!?)$/.exec(statusStr ?? "301") || [];
+    const status = Number(statusDigits);
+    if (status !== REWRITE_STATUS && !REDIRECT_STATUSES.has(status)) {
+      errors.push({ line: lineNumber, message: `Unsupported status: ${statusStr}` });
+      return;
+    }
+
+    if (status === REWRITE_STATUS && !to.startsWith("/") && !isAbsoluteUrl(to)) {
+      errors.push({ line: lineNumber, message: `Rewrites (200) must target a path or an http(s) URL: ${to}` });
+      return;
+    }
+
+    const conditions = [];
+    for (const token of rest) {
+      if (!isConditionToken(token)) {
+        errors.push({ line: lineNumber, message: `Unexpected trailing text: ${rest.join(" ")}` });
+        return;
+      }
+      const { condition, error } = parseCondition(token);
+      if (error) {
+        errors.push({ line: lineNumber, message: error });
+        return;
+      }
+      conditions.push(condition);
+    }
+
+    let pattern;
+    try {
+      pattern = compilePathPattern(from);
+    } catch {
+      errors.push({ line: lineNumber, message: `Invalid source pattern (duplicate placeholder?): ${from}` });
+      return;
+    }
 
-    const parts = trimmed.split(/\s+/);
-    if (parts.length < 2) continue;
+    const signature = [from, ...query.map(({ key, value }) => `${key}=${value}`).sort(), ...rest.sort()].join(" ");
+    if (seen.has(signature)) {
+      warnings.push({ line: lineNumber, message: `Unreachable: "${from}" is already matched on line ${seen.get(signature)}` });
+    } else {
+      seen.set(signature, lineNumber);
+    }
+
+    // A 200 to another server proxies the request
+    const proxy = status === REWRITE_STATUS && isAbsoluteUrl(to);
+    rules.push({ from, to, status, force: force === "!", proxy, query, conditions, pattern });
+  });
+
+  return { rules, errors, warnings };
+}
+
+/**
+ * Index rules so a request only tests the rules that could match it:
+ * exact sources by path, patterns by their first literal segment, and
+ * patterns starting with a wildcard or placeholder for every request.
+ * Rule order is kept, so the first matching rule in the file still wins.
+ */
+function compileMatcher(rules) {
+  const exact = new Map(); // path -> [rule]
+  const bySegment = new Map(); // first segment -> [rule]
+  const anywhere = [];
+
+  rules.forEach((rule, order) => {
+    const entry = { ...rule, order };
+    if (!/[*:]/.test(rule.from)) {
+      addTo(exact, rule.from, entry);
+      return;
+    }
+
+    const firstSegment = rule.from.split("/")[1];
+    if (/[*:]/.test(firstSegment)) {
+      anywhere.push(entry);
+    } else {
+      addTo(bySegment, firstSegment, entry);
+    }
+  });
+
+  return { exact, bySegment, anywhere, size: rules.length };
+}
+
+function candidateRules(matcher, reqPath) {
+  const lists = [
+    matcher.exact.get(reqPath),
+    matcher.bySegment.get(reqPath.split("/")[1]),
+    matcher.anywhere,
+  ].filter((list) => list?.length);
+
+  if (lists.length === 1) return lists[0];
+  return lists.flat().sort((a, b) => a.order - b.order);
+}
+
+function addTo(map, key, entry) {
+  const list = map.get(key);
+  if (list) {
+    list.push(entry);
+  } else {
+    map.set(key, [entry]);
+  }
+}
+
+/**
+ * Find the first rule matching a request ({ host, path, searchParams, headers, clientIp }).
+ * host is the site whose log receives problems found while loading _redirects.
+ * Rules are tried in file order; a rule matches when its path, query and all of
+ * its request conditions match. Returns { rule, vary }: rule is
+ * { status, destination, force, proxy } with placeholders filled in (or null),
+ * and vary lists the request headers that conditional rules on this path
+ * looked at, so responses can be cached correctly.
+ *
+ * The original query string is appended to the destination, unless the
+ * destination has its own "?" (use a bare "?" to drop the query).
+ */
+export async function matchRedirect(sitePath, request) {
+  const { path: reqPath, searchParams } = request;
+  const vary = new Set();
+
+  const matcher = await loadRedirects(sitePath, request.host);
+  if (matcher.size === 0) return { rule: null, vary: [] };
+
+  for (const { to, status, force, proxy, query, conditions, pattern } of candidateRules(matcher, reqPath)) {
+    const match = pattern.exec(reqPath);
+    if (!match) continue;
+
+    const params = { splat: "" };
+    for (const [name, value] of Object.entries(match.groups || {})) {
+      if (value !== undefined) params[name] = value;
+    }
+    if (!matchQuery(query, searchParams, params)) continue;
+
+    conditionVary(conditions).forEach((name) => vary.add(name));
+    if (!matchesConditions(conditions, request)) continue;
 
-    const [from, to, statusStr] = parts;
-    const status = parseInt(statusStr) || 301;
+    let destination = to.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (placeholder, name) =>
+      name in params ? params[name] : placeholder
+    );
 
-    redirects.push({ from, to, status });
+    if (destination.endsWith("?")) {
+      destination = destination.slice(0, -1);
+    } else if (!destination.includes("?") && searchParams.size > 0) {
+      destination += `?${searchParams}`;
+    }
+
+    return { rule: { status, destination, force, proxy }, vary: [...vary] };
   }
 
-  return redirects;
+  return { rule: null, vary: [...vary] };
 }
 
 /**
- * Check if a path matches a redirect rule and return redirect response if so
+ * Every condition must be present; "key=:name" captures the value, "key=value" must equal it
  */
-export async function handleRedirects(sitePath, reqPath) {
-  const redirects = await loadRedirects(sitePath);
-
-  for (const { from, to, status } of redirects) {
-    // Exact match
-    if (from === reqPath) {
-      return Response.redirect(to, status);
-    }
-
-    // Wildcard match: /blog/* matches /blog/anything
-    if (from.endsWith("/*")) {
-      const prefix = from.slice(0, -2);
-      if (reqPath.startsWith(prefix + "/") || reqPath === prefix) {
-        const splat = reqPath.slice(prefix.length + 1);
-        const destination = to.replace(":splat", splat);
-        return Response.redirect(destination, status);
-      }
+function matchQuery(conditions, searchParams, params) {
+  for (const { key, value } of conditions) {
+    const actual = searchParams.get(key);
+    if (actual === null) return false;
+
+    if (value.startsWith(":")) {
+      params[value.slice(1)] = encodeURIComponent(actual);
+    } else if (actual !== value) {
+      return false;
     }
   }
+  return true;
+}
+
+function isQueryCondition(token) {
+  return token.includes("=") && !token.startsWith("/") && !isAbsoluteUrl(token);
+}
+
+function isAbsoluteUrl(value) {
+  return /^https?:\/\//.test(value);
+}
 
-  return null;
+function splitOnce(text, separator) {
+  const index = text.indexOf(separator);
+  return [text.slice(0, index), text.slice(index + 1)];
 }
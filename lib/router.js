@@ -1,10 +1,14 @@
 import path from "path";
 import crypto from "crypto";
-import { getSiteConfig, getSiteByHost } from "./sites.js";
+import { getSiteConfig, getSiteEnv, resolveSiteHost } from "./sites.js";
+import { getRelease } from "./deploys.js";
 import { logRequest } from "./logs.js";
-import { handleFunction } from "./functions.js";
-import { serveStatic, serveError } from "./static.js";
-import { handleRedirects } from "./redirects.js";
+import { handleFunction, applyStaticMiddleware } from "./functions.js";
+import { serveStatic, serveSpaFallback, serveError, isBlockedPath } from "./static.js";
+import { matchRedirect } from "./redirects.js";
+import { applyHeaderRules } from "./headers.js";
+import { findUpstream, proxyRequest, DEFAULT_PROXY_TIMEOUT } from "./proxy.js";
+import { addVary } from "./compression.js";
 import { checkBasicAuth } from "./middleware/auth.js";
 
 // Security headers (safe defaults that won't break sites)
@@ -18,16 +22,14 @@ const SECURITY_HEADERS = {
  * Main request handler for Bun
  */
 export async function handleRequest(req, options) {
-  const { dataDir, clientIp = "unknown" } = options;
+  const { dataDir, clientIp = "unknown", peerIp = clientIp, trustProxy = false } = options;
   const url = new URL(req.url);
   const startTime = Date.now();
   const requestId = req.headers.get("x-request-id") || crypto.randomUUID();
 
-  // Extract host
-  const host = url.hostname;
-
-  // Get site
-  const site = await getSiteByHost(dataDir, host);
+  // Get site (preview hosts resolve to their parent site)
+  const resolved = await resolveSiteHost(dataDir, url.hostname);
+  const site = resolved?.site;
 
   if (!site) {
     return addHeader(new Response("Site not found", { status: 404 }), "X-Request-Id", requestId);
@@ -37,13 +39,34 @@ export async function handleRequest(req, options) {
     return addHeader(new Response("Site is currently disabled", { status: 503 }), "X-Request-Id", requestId);
   }
 
-  const sitePath = path.join(dataDir, "sites", host, "current");
-  const siteConfig = await getSiteConfig(sitePath);
+  const host = resolved.host;
 
-  // Trailing slash normalization: /foo/ -> /foo (except root)
-  if (url.pathname !== "/" && url.pathname.endsWith("/")) {
-    const normalized = url.pathname.slice(0, -1) + url.search;
-    return addHeader(Response.redirect(new URL(normalized, url.origin), 301), "X-Request-Id", requestId);
+  // Canonical host redirect: alias -> primary domain
+  if (resolved.alias && site.canonicalRedirect) {
+    const proto = (trustProxy && req.headers.get("x-forwarded-proto")) || url.protocol.slice(0, -1);
+    const port = url.port ? `:${url.port}` : "";
+    const canonical = new URL(url.pathname.replace(/^\/+/, "/") + url.search, `${proto}://${host}${port}`);
+    return addHeader(Response.redirect(canonical, 301), "X-Request-Id", requestId);
+  }
+
+  const currentPath = path.join(dataDir, "sites", host, "current");
+  let sitePath = currentPath;
+
+  if (resolved.releaseId) {
+    const release = await getRelease(dataDir, host, resolved.releaseId);
+    if (!release) {
+      return addHeader(new Response("Preview not found", { status: 404 }), "X-Request-Id", requestId);
+    }
+    sitePath = path.join(dataDir, "sites", host, "deploys", release.id);
+  }
+
+  // Previews use the parent site's site.json so they behave like production
+  const siteConfig = await getSiteConfig(currentPath);
+
+  // Trailing slash normalization (site.json "trailingSlash": strip | add | ignore)
+  const slashRedirect = await trailingSlashRedirect(url, siteConfig?.trailingSlash || "strip", req.method, sitePath);
+  if (slashRedirect) {
+    return addHeader(slashRedirect, "X-Request-Id", requestId);
   }
 
   // Build context object
@@ -52,6 +75,7 @@ export async function handleRequest(req, options) {
     host,
     site,
     sitePath,
+    releaseId: resolved.releaseId,
     siteConfig: siteConfig || {},
     method: req.method,
     path: url.pathname,
@@ -65,7 +89,7 @@ export async function handleRequest(req, options) {
     const needsAuth = auth === "basic" ||
       (auth.type === "basic" && auth.paths?.some(p => ctx.path.startsWith(p)));
     if (needsAuth) {
-      const authResult = await checkBasicAuth(req, site);
+      const authResult = await checkBasicAuth(req, await getSiteEnv(dataDir, host));
       if (authResult) {
         return addHeader(authResult, "X-Request-Id", requestId);
       }
@@ -77,18 +101,50 @@ export async function handleRequest(req, options) {
     return addHeader(handleCors(ctx.siteConfig.cors, req), "X-Request-Id", requestId);
   }
 
-  // Check _redirects
-  const redirect = await handleRedirects(sitePath, ctx.path);
-  if (redirect) return addHeader(redirect, "X-Request-Id", requestId);
+  // Check _redirects (rules without "!" only apply when no static file exists at the path)
+  const { rule: redirect, vary } = await matchRedirect(sitePath, {
+    host,
+    path: ctx.path,
+    searchParams: url.searchParams,
+    headers: req.headers,
+    clientIp,
+  });
+
+  let response = null;
+  let target = ctx;
 
-  let response;
+  // site.json proxy rules take priority over files and _redirects
+  const upstream = findUpstream(ctx.siteConfig.proxy, url);
+  if (upstream) {
+    response = await proxyRequest(req, upstream.url, { peerIp, trustProxy, timeout: upstream.timeout });
+  }
 
   // Try static files first
-  response = await serveStatic(ctx);
+  if (!response && !redirect?.force) {
+    response = await applyStaticMiddleware(req, ctx, await serveStatic(ctx));
+  }
+
+  if (!response && redirect) {
+    if (redirect.proxy) {
+      response = await proxyRequest(req, redirect.destination, { peerIp, trustProxy, timeout: DEFAULT_PROXY_TIMEOUT });
+    } else if (redirect.status !== 200) {
+      const redirectResponse = addVaryHeaders(Response.redirect(redirect.destination, redirect.status), vary);
+      return addHeader(redirectResponse, "X-Request-Id", requestId);
+    } else {
+      // Rewrite: serve another path of this site with 200, keeping the URL
+      target = rewriteContext(ctx, redirect.destination);
+      response = await applyStaticMiddleware(req, target, await serveStatic(target));
+    }
+  }
 
   // Fall back to function handlers
   if (!response) {
-    response = await handleFunction(req, ctx);
+    response = await handleFunction(req, target);
+  }
+
+  // Single-page apps: client-side routes get the app shell
+  if (!response) {
+    response = await serveSpaFallback(ctx);
   }
 
   // 404 if nothing handled it
@@ -98,9 +154,15 @@ export async function handleRequest(req, options) {
 
   const durationMs = Date.now() - startTime;
 
+  // Conditional _redirects rules make this path depend on request headers
+  response = addVaryHeaders(response, vary);
+
   // Add security headers
   response = addSecurityHeaders(response);
 
+  // Per-path rules from _headers (may override or remove the defaults above)
+  response = await applyHeaderRules(response, sitePath, ctx.path);
+
   // Add CORS headers if configured
   if (ctx.siteConfig.cors) {
     response = addCorsHeaders(response, ctx.siteConfig.cors, req);
@@ -117,11 +179,56 @@ export async function handleRequest(req, options) {
     status: response.status,
     durationMs,
     ip: clientIp,
+    ...(resolved.releaseId && { preview: resolved.releaseId }),
   });
 
   return response;
 }
 
+function rewriteContext(ctx, destination) {
+  const url = new URL(destination, ctx.url.origin);
+  return {
+    ...ctx,
+    url,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+  };
+}
+
+/**
+ * "strip": /foo/ -> /foo (except root). "add": /foo -> /foo/ for paths without
+ * a file extension, unless a file exists at exactly that path (/LICENSE, /CNAME).
+ * "ignore": both forms are served as-is.
+ * Non-GET requests get a 308 so the method and body survive the redirect.
+ */
+async function trailingSlashRedirect(url, policy, method, sitePath) {
+  const { pathname } = url;
+  let normalized = null;
+
+  if (policy === "strip" && pathname !== "/" && pathname.endsWith("/")) {
+    normalized = pathname.slice(0, -1);
+  } else if (policy === "add" && !pathname.endsWith("/") && !path.extname(pathname) && !(await isStaticFile(sitePath, pathname))) {
+    normalized = pathname + "/";
+  }
+
+  if (!normalized) return null;
+
+  // "//evil.com/" must not become a protocol-relative URL for another host
+  normalized = normalized.replace(/^\/+/, "/");
+
+  const status = method === "GET" || method === "HEAD" ? 301 : 308;
+  return Response.redirect(new URL(normalized + url.search, url.origin), status);
+}
+
+async function isStaticFile(sitePath, pathname) {
+  if (isBlockedPath(pathname)) return false;
+  try {
+    return (await Bun.file(path.join(sitePath, pathname)).stat()).isFile();
+  } catch {
+    return false;
+  }
+}
+
 function handleCors(corsConfig, req) {
   const origin = req.headers.get("origin");
   const headers = new Headers();
@@ -175,6 +282,20 @@ function addSecurityHeaders(response) {
   });
 }
 
+function addVaryHeaders(response, names) {
+  if (names.length === 0) return response;
+
+  const headers = new Headers(response.headers);
+  for (const name of names) {
+    addVary(headers, name);
+  }
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
 function addHeader(response, key, value) {
   const headers = new Headers(response.headers);
   headers.set(key, value);
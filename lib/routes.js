@@ -0,0 +1,279 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { isDev } from "./config.js";
+
+// Compiled route tables per _functions directory (cleared on deploy)
+const routeTableCache = new Map(); // functionsDir -> { root, dirMtimes }
+
+/**
+ * Load the route table for a _functions directory (with caching)
+ * - In production: scanned once per release, cached until deploy
+ * - In dev: rescanned when a file is added, removed or renamed
+ *   (any scanned directory's mtime changes)
+ */
+export async function getRouteTable(functionsDir) {
+  const cached = routeTableCache.get(functionsDir);
+
+  if (cached && (!isDev || !(await hasChanged(cached.dirMtimes)))) {
+    return cached;
+  }
+
+  const dirMtimes = new Map();
+  const root = await scanDirectory(functionsDir, dirMtimes);
+  const table = { root, dirMtimes };
+  routeTableCache.set(functionsDir, table);
+  return table;
+}
+
+/**
+ * Clear cached tables under a directory prefix, or all of them (call after deploy)
+ */
+export function clearRouteTables(prefix) {
+  for (const key of routeTableCache.keys()) {
+    if (!prefix || key.startsWith(prefix)) {
+      routeTableCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Module specifier for a route file. It includes the file's mtime so runners
+ * load edited files; in production files don't change within a release, so
+ * the one resolved at scan time is used.
+ */
+export async function moduleSpecifier(entry) {
+  return isDev ? resolveModule(entry.file) : entry.module;
+}
+
+/**
+ * Find the function for a request path. Returns { entry, params, middleware }
+ * (middleware entries outermost first) or null.
+ *
+ * A fully static path is tried first, as a file and as a directory index
+ * (/users/ prefers users/index.js, /users prefers users.js). Otherwise each
+ * directory level tries static names, then [param] files and directories, then
+ * [...param] catch-alls (one or more segments), then [[...param]] optional
+ * catch-alls (zero or more), backing up when a branch has no function.
+ */
+export function matchRoute(table, reqPath) {
+  const segments = reqPath.replace(/^\//, "").split("/").filter(Boolean);
+
+  // [param] files only match through params
+  if (!segments.some((segment) => segment.startsWith("["))) {
+    const staticSegments = segments.length > 0 ? segments : ["index"];
+    const direct = () => matchStaticFile(table.root, staticSegments);
+    const index = () => matchStaticIndex(table.root, staticSegments);
+    const match = reqPath.endsWith("/") ? index() || direct() : direct() || index();
+    if (match) return match;
+  }
+
+  return matchNode(table.root, segments, {}, []);
+}
+
+/**
+ * Middleware that applies to a directory of the site (e.g. "/admin" for
+ * /admin/page.html), following static directory names only
+ */
+export function middlewareForDirectory(table, dirPath) {
+  const middleware = [];
+  let node = table.root;
+
+  for (const segment of ["", ...dirPath.split("/").filter(Boolean)]) {
+    node = segment ? node.dirs.get(segment) : node;
+    if (!node) break;
+    if (node.middleware) middleware.push(node.middleware);
+  }
+
+  return middleware;
+}
+
+/**
+ * Flatten a table into { route, file, middleware } rows for debugging, in
+ * match order within each directory. Files are relative to _functions.
+ * Routes use :name for [name], :name+ for [...name] and :name* for [[...name]].
+ */
+export function listRoutes(table, functionsDir) {
+  const rows = [];
+  const relative = (entry) => path.relative(functionsDir, entry.file);
+
+  const visit = (node, prefix, middleware) => {
+    const chain = node.middleware ? [...middleware, relative(node.middleware)] : middleware;
+    const add = (route, entry) => rows.push({ route: route || "/", file: relative(entry), middleware: chain });
+
+    if (node.index) add(prefix, node.index);
+    for (const [name, entry] of node.files) add(`${prefix}/${name}`, entry);
+    for (const [name, child] of node.dirs) visit(child, `${prefix}/${name}`, chain);
+    for (const { param, entry } of node.paramFiles) add(`${prefix}/:${param}`, entry);
+    for (const { param, node: child } of node.paramDirs) visit(child, `${prefix}/:${param}`, chain);
+    for (const { param, entry } of node.catchAll) add(`${prefix}/:${param}+`, entry);
+    for (const { param, entry } of node.optionalCatchAll) add(`${prefix}/:${param}*`, entry);
+  };
+
+  visit(table.root, "", []);
+  return rows;
+}
+
+function matchStaticFile(root, segments) {
+  const middleware = [];
+  let node = root;
+  for (const segment of segments.slice(0, -1)) {
+    if (node.middleware) middleware.push(node.middleware);
+    node = node.dirs.get(segment);
+    if (!node) return null;
+  }
+  if (node.middleware) middleware.push(node.middleware);
+
+  const name = segments.at(-1);
+  const entry = node.files.get(name) || (name === "index" ? node.index : null);
+  return entry ? { entry, params: {}, middleware } : null;
+}
+
+function matchStaticIndex(root, segments) {
+  const middleware = [];
+  let node = root;
+  for (const segment of segments) {
+    if (node.middleware) middleware.push(node.middleware);
+    node = node.dirs.get(segment);
+    if (!node) return null;
+  }
+  if (node.middleware) middleware.push(node.middleware);
+
+  return node.index ? { entry: node.index, params: {}, middleware } : null;
+}
+
+function matchNode(node, segments, params, middleware) {
+  const chain = node.middleware ? [...middleware, node.middleware] : middleware;
+  const found = (entry, extra = {}) => ({ entry, params: { ...params, ...extra }, middleware: chain });
+
+  if (segments.length === 0) {
+    if (node.index) return found(node.index);
+    const optional = node.optionalCatchAll[0];
+    return optional ? found(optional.entry, { [optional.param]: [] }) : null;
+  }
+
+  const [current, ...rest] = segments;
+
+  // Static file or directory
+  if (!current.startsWith("[")) {
+    if (rest.length === 0 && node.files.has(current)) {
+      return found(node.files.get(current));
+    }
+    const child = node.dirs.get(current);
+    if (child) {
+      const result = matchNode(child, rest, params, chain);
+      if (result) return result;
+    }
+  }
+
+  // Single-segment [param] files, then directories
+  if (rest.length === 0 && node.paramFiles.length > 0) {
+    const { param, entry } = node.paramFiles[0];
+    return found(entry, { [param]: current });
+  }
+  for (const { param, node: child } of node.paramDirs) {
+    const result = matchNode(child, rest, { ...params, [param]: current }, chain);
+    if (result) return result;
+  }
+
+  // Catch-alls take the remaining segments as an array
+  const catchAll = node.catchAll[0] || node.optionalCatchAll[0];
+  return catchAll ? found(catchAll.entry, { [catchAll.param]: segments }) : null;
+}
+
+/**
+ * Scan a directory into a route node. Entries are sorted by name, so ties
+ * between routes of the same kind never depend on file system order.
+ */
+async function scanDirectory(dir, dirMtimes) {
+  const node = {
+    index: null,
+    middleware: null,
+    files: new Map(), // name (without .js) -> entry
+    dirs: new Map(), // name -> node
+    paramFiles: [],
+    paramDirs: [],
+    catchAll: [],
+    optionalCatchAll: [],
+  };
+
+  let names;
+  try {
+    dirMtimes.set(dir, (await fs.stat(dir)).mtimeMs);
+    names = (await fs.readdir(dir)).sort();
+  } catch (err) {
+    if (err.code !== "ENOENT" && err.code !== "ENOTDIR") throw err;
+    dirMtimes.set(dir, 0);
+    return node; // No _functions directory
+  }
+
+  for (const name of names) {
+    const fullPath = path.join(dir, name);
+
+    // Follow symlinks inside the release
+    let stat;
+    try {
+      stat = await fs.stat(fullPath);
+    } catch {
+      continue; // Dangling symlink
+    }
+
+    let match;
+    if (stat.isDirectory()) {
+      if ((match = name.match(/^\[(\w+)\]$/))) {
+        node.paramDirs.push({ param: match[1], node: await scanDirectory(fullPath, dirMtimes) });
+      } else if (!name.startsWith("[")) {
+        node.dirs.set(name, await scanDirectory(fullPath, dirMtimes));
+      }
+      continue;
+    }
+
+    if (!name.endsWith(".js")) continue;
+    const entry = await routeEntry(fullPath);
+
+    if (name === "index.js") {
+      node.index = entry;
+    } else if (name === "_middleware.js") {
+      node.middleware = entry;
+    } else if ((match = name.match(/^\[\[\.\.\.(\w+)\]\]\.js$/))) {
+      node.optionalCatchAll.push({ param: match[1], entry });
+    } else if ((match = name.match(/^\[\.\.\.(\w+)\]\.js$/))) {
+      node.catchAll.push({ param: match[1], entry });
+    } else if ((match = name.match(/^\[(\w+)\]\.js$/))) {
+      node.paramFiles.push({ param: match[1], entry });
+    } else if (!name.startsWith("[")) {
+      node.files.set(name.slice(0, -3), entry);
+    }
+  }
+
+  return node;
+}
+
+async function routeEntry(file) {
+  return { file, module: isDev ? null : await resolveModule(file) };
+}
+
+/**
+ * Resolve symlinks; the mtime busts the runner's module cache when the file changes
+ */
+async function resolveModule(file) {
+  try {
+    const realPath = await fs.realpath(file);
+    const stat = await fs.stat(realPath);
+    return `${realPath}?t=${stat.mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+async function hasChanged(dirMtimes) {
+  for (const [dir, mtime] of dirMtimes) {
+    let current = 0;
+    try {
+      current = (await fs.stat(dir)).mtimeMs;
+    } catch {
+      // Removed
+    }
+    if (current !== mtime) return true;
+  }
+  return false;
+}
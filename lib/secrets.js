@@ -0,0 +1,82 @@
+/**
+ * Encryption at rest for site env values in sites.json
+ *
+ * Values are stored as enc:v1:<iv>:<tag>:<ciphertext> (AES-256-GCM, base64 parts).
+ * The master key comes from BUNPAAS_MASTER_KEY or the file at BUNPAAS_MASTER_KEY_FILE.
+ */
+
+import { readFileSync } from "fs";
+import crypto from "crypto";
+import { MASTER_KEY, MASTER_KEY_FILE } from "./config.js";
+
+const PREFIX = "enc:v1:";
+const MASKED_VALUE = "********";
+
+let masterKey;
+
+/**
+ * Get the 32-byte master key (null if none configured)
+ */
+function getMasterKey() {
+  if (masterKey !== undefined) return masterKey;
+
+  const secret = MASTER_KEY || (MASTER_KEY_FILE && readFileSync(MASTER_KEY_FILE, "utf8").trim());
+  masterKey = secret ? crypto.createHash("sha256").update(secret).digest() : null;
+  return masterKey;
+}
+
+export function hasMasterKey() {
+  return getMasterKey() !== null;
+}
+
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+export function encryptValue(value) {
+  if (isEncrypted(value)) return value;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getMasterKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return PREFIX + [iv, tag, ciphertext].map((part) => part.toString("base64")).join(":");
+}
+
+export function decryptValue(value) {
+  if (!isEncrypted(value)) return value;
+
+  const key = getMasterKey();
+  if (!key) {
+    throw new Error("Encrypted env value found but no master key is configured (BUNPAAS_MASTER_KEY)");
+  }
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(":").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Encrypt every value in an env object (no-op without a master key)
+ */
+export function encryptEnv(env) {
+  if (!env || !hasMasterKey()) return env;
+  return Object.fromEntries(Object.entries(env).map(([key, value]) => [key, encryptValue(value)]));
+}
+
+/**
+ * Decrypt every value in an env object (plaintext values pass through)
+ */
+export function decryptEnv(env) {
+  if (!env) return {};
+  return Object.fromEntries(Object.entries(env).map(([key, value]) => [key, decryptValue(value)]));
+}
+
+/**
+ * Replace every value with a mask, for API responses (env vars are write-only)
+ */
+export function maskEnv(env) {
+  return Object.fromEntries(Object.keys(env || {}).map((key) => [key, MASKED_VALUE]));
+}
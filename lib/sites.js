@@ -2,14 +2,30 @@ import { promises as fs } from "fs";
 import path from "path";
 import crypto from "crypto";
 import { isDev } from "./config.js";
+import { httpError } from "./errors.js";
+import { encryptEnv, decryptEnv } from "./secrets.js";
+
+const HOST_PATTERN = /^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)*$/;
 
 // In-memory cache for sites.json
 let sitesCache = null;
 let sitesCacheMtime = 0;
 
+// Alias lookup tables built from sitesCache (see getAliasIndex)
+let aliasIndex = null;
+
 // Cache for site.json configs (per-site)
 const siteConfigCache = new Map(); // sitePath -> { config, mtime }
 
+// Production change detection (see watchSites)
+const WATCH_INTERVAL = 2000;
+let sitesWatcher = null;
+
+// Write lock: in-process queue plus a lock file for other processes (cli.js)
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+let sitesLockQueue = Promise.resolve();
+
 /**
  * Get the path to sites.json
  */
@@ -19,7 +35,7 @@ function getSitesPath(dataDir) {
 
 /**
  * Load sites.json with caching
- * - In production: trust cache after first load (only our writes invalidate)
+ * - In production: trust cache after first load (our writes and watchSites refresh it)
  * - In dev: check mtime for external changes
  */
 export async function loadSites(dataDir) {
@@ -28,26 +44,16 @@ export async function loadSites(dataDir) {
     return sitesCache;
   }
 
-  const sitesPath = getSitesPath(dataDir);
-
   try {
     // Dev mode: check mtime for external changes
     if (isDev && sitesCache) {
-      const stat = await fs.stat(sitesPath);
-      if (stat.mtimeMs === sitesCacheMtime) {
+      const mtime = await getMtime(getSitesPath(dataDir));
+      if (mtime === sitesCacheMtime) {
         return sitesCache;
       }
     }
 
-    const content = await fs.readFile(sitesPath, "utf8");
-    sitesCache = JSON.parse(content);
-
-    if (isDev) {
-      const stat = await fs.stat(sitesPath);
-      sitesCacheMtime = stat.mtimeMs;
-    }
-
-    return sitesCache;
+    return await reloadSites(dataDir);
   } catch (err) {
     if (err.code === "ENOENT") {
       return { sites: {} };
@@ -56,21 +62,165 @@ export async function loadSites(dataDir) {
   }
 }
 
+/**
+ * Re-read sites.json into the cache.
+ * A malformed file is rejected and the last good copy stays in place.
+ */
+async function reloadSites(dataDir) {
+  const sitesPath = getSitesPath(dataDir);
+  const mtime = await getMtime(sitesPath);
+
+  let data;
+  try {
+    data = parseSites(await fs.readFile(sitesPath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT" || !sitesCache) throw err;
+    console.error(`Ignoring malformed ${sitesPath} (keeping last good config): ${err.message}`);
+    sitesCacheMtime = mtime;
+    return sitesCache;
+  }
+
+  sitesCache = data;
+  sitesCacheMtime = mtime;
+  aliasIndex = null;
+  return sitesCache;
+}
+
+function parseSites(content) {
+  const data = JSON.parse(content);
+  if (!data || typeof data.sites !== "object" || Array.isArray(data.sites)) {
+    throw new Error('Expected an object with a "sites" object');
+  }
+  return data;
+}
+
 /**
  * Save sites.json atomically (write to temp, rename)
+ * With a master key configured, env values are encrypted; the cache holds the
+ * same encrypted form, and getSiteEnv decrypts on demand.
+ * Read-modify-write callers should use modifySites so concurrent updates aren't lost.
  */
 export async function saveSites(dataDir, data) {
   const sitesPath = getSitesPath(dataDir);
   const tempPath = sitesPath + ".tmp";
 
+  const stored = encryptSites(data);
+
   // Write to temp file, then atomic rename
-  await fs.writeFile(tempPath, JSON.stringify(data), "utf8");
+  await fs.writeFile(tempPath, JSON.stringify(stored), "utf8");
   await fs.rename(tempPath, sitesPath);
 
-  // Update cache (no need to stat - we just wrote it)
-  sitesCache = data;
+  // Update cache, recording our own mtime so the watcher doesn't reload it
+  sitesCache = stored;
+  sitesCacheMtime = await getMtime(sitesPath);
+  aliasIndex = null;
 
-  return data;
+  return stored;
+}
+
+/**
+ * Read-modify-write sites.json under the write lock.
+ * mutate(data) receives a fresh copy from disk (so external edits aren't clobbered),
+ * changes it in place and may return a result; the file is then saved.
+ */
+export async function modifySites(dataDir, mutate) {
+  return withSitesLock(dataDir, async () => {
+    let data;
+    try {
+      data = parseSites(await fs.readFile(getSitesPath(dataDir), "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      data = { sites: {} };
+    }
+
+    const result = await mutate(data);
+    await saveSites(dataDir, data);
+    return result;
+  });
+}
+
+async function withSitesLock(dataDir, fn) {
+  const run = sitesLockQueue.catch(() => {}).then(async () => {
+    const release = await acquireLockFile(getSitesPath(dataDir) + ".lock");
+    try {
+      return await fn();
+    } finally {
+      await release();
+    }
+  });
+  sitesLockQueue = run;
+  return run;
+}
+
+async function acquireLockFile(lockPath) {
+  const startTime = Date.now();
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, "wx");
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return () => fs.rm(lockPath, { force: true });
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+
+    // A lock left behind by a crashed process is taken over
+    if (Date.now() - (await getMtime(lockPath)) > LOCK_STALE_MS) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+
+    if (Date.now() - startTime > LOCK_TIMEOUT_MS) {
+      throw new Error(`Timed out waiting for ${lockPath}`);
+    }
+    await Bun.sleep(25);
+  }
+}
+
+function encryptSites(data) {
+  const sites = {};
+  for (const [host, site] of Object.entries(data.sites || {})) {
+    sites[host] = site.env ? { ...site, env: encryptEnv(site.env) } : site;
+  }
+  return { ...data, sites };
+}
+
+/**
+ * Poll sites.json and cached site.json files for external changes (production).
+ * Hand edits and setup.js take effect without a restart.
+ */
+export function watchSites(dataDir) {
+  if (sitesWatcher) return;
+
+  sitesWatcher = setInterval(() => {
+    checkForChanges(dataDir).catch((err) => console.error("Error checking for config changes:", err));
+  }, WATCH_INTERVAL);
+  sitesWatcher.unref();
+}
+
+async function checkForChanges(dataDir) {
+  if (sitesCache) {
+    const mtime = await getMtime(getSitesPath(dataDir));
+    if (mtime && mtime !== sitesCacheMtime) {
+      await reloadSites(dataDir);
+    }
+  }
+
+  for (const [sitePath, cached] of siteConfigCache) {
+    if ((await getMtime(path.join(sitePath, "site.json"))) !== cached.mtime) {
+      await reloadSiteConfig(sitePath);
+    }
+  }
+}
+
+async function getMtime(filePath) {
+  try {
+    return (await fs.stat(filePath)).mtimeMs;
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
 }
 
 /**
@@ -86,67 +236,162 @@ export async function getSites(dataDir) {
  */
 export async function getSiteByHost(dataDir, host) {
   const sites = await getSites(dataDir);
-  return sites[host] || null;
+  return Object.hasOwn(sites, host) ? sites[host] : null;
 }
 
 /**
- * Create a new site
+ * Resolve a request host to its site, in order:
+ * 1. a site's own host, or one of its exact aliases
+ * 2. a preview host (<releaseId>--example.com), resolved to the parent site with releaseId set
+ * 3. a wildcard alias (*.example.com matches one label; the longest suffix wins)
+ * Returns { host, site, releaseId, alias } where host is the canonical site host, or null.
  */
-export async function createSite(dataDir, host, options = {}) {
-  const data = await loadSites(dataDir);
+export async function resolveSiteHost(dataDir, host) {
+  const sites = await getSites(dataDir);
+  const index = getAliasIndex(sites);
 
-  if (data.sites[host]) {
-    throw new Error(`Site ${host} already exists`);
+  const direct = resolveExact(sites, index, host);
+  if (direct) return direct;
+
+  const separator = host.indexOf("--");
+  if (separator > 0) {
+    const releaseId = host.slice(0, separator);
+    const parent = resolveExact(sites, index, host.slice(separator + 2));
+    if (parent && !releaseId.includes(".")) {
+      return { ...parent, releaseId, alias: false };
+    }
   }
 
-  const deployKey = generateDeployKey();
+  for (const { suffix, host: siteHost } of index.wildcards) {
+    const label = host.slice(0, -suffix.length);
+    if (host.endsWith(suffix) && label && !label.includes(".")) {
+      return { host: siteHost, site: sites[siteHost], releaseId: null, alias: true };
+    }
+  }
 
-  data.sites[host] = {
-    enabled: true,
-    deployKey,
-    env: options.env || {},
-    created: new Date().toISOString(),
-    lastDeploy: null,
-  };
+  return null;
+}
 
-  await saveSites(dataDir, data);
+function resolveExact(sites, index, host) {
+  if (sites[host]) {
+    return { host, site: sites[host], releaseId: null, alias: false };
+  }
+
+  const siteHost = index.exact.get(host);
+  if (siteHost && sites[siteHost]) {
+    return { host: siteHost, site: sites[siteHost], releaseId: null, alias: true };
+  }
+
+  return null;
+}
+
+/**
+ * Build (or reuse) alias lookup tables for the current sites object
+ */
+function getAliasIndex(sites) {
+  if (aliasIndex?.sites === sites) {
+    return aliasIndex;
+  }
+
+  const exact = new Map();
+  const wildcards = [];
+  for (const [host, site] of Object.entries(sites)) {
+    for (const alias of site.aliases || []) {
+      if (alias.startsWith("*.")) {
+        wildcards.push({ suffix: alias.slice(1), host });
+      } else {
+        exact.set(alias, host);
+      }
+    }
+  }
+  wildcards.sort((a, b) => b.suffix.length - a.suffix.length);
+
+  aliasIndex = { sites, exact, wildcards };
+  return aliasIndex;
+}
+
+/**
+ * Check aliases are valid hostnames (or *.wildcards) not claimed by another site
+ */
+export async function validateAliases(dataDir, host, aliases) {
+  if (!Array.isArray(aliases)) {
+    throw httpError("aliases must be an array of hostnames");
+  }
+
+  const sites = await getSites(dataDir);
+  for (const alias of aliases) {
+    const name = typeof alias === "string" && alias.startsWith("*.") ? alias.slice(2) : alias;
+    if (typeof name !== "string" || !HOST_PATTERN.test(name)) {
+      throw httpError(`Invalid alias: ${alias}`);
+    }
+
+    const owner = Object.entries(sites).find(([other, site]) =>
+      other !== host && (other === alias || site.aliases?.includes(alias))
+    );
+    if (owner) {
+      throw httpError(`Alias ${alias} is already used by ${owner[0]}`, 409);
+    }
+  }
+
+  return aliases;
+}
+
+/**
+ * Create a new site
+ */
+export async function createSite(dataDir, host, options = {}) {
+  if (typeof host !== "string" || !HOST_PATTERN.test(host)) {
+    throw httpError(`Invalid hostname: ${host}`);
+  }
+
+  const site = await modifySites(dataDir, (data) => {
+    if (data.sites[host]) {
+      throw httpError(`Site ${host} already exists`, 409);
+    }
+
+    data.sites[host] = {
+      enabled: options.enabled ?? true,
+      deployKey: generateDeployKey(),
+      env: options.env || {},
+      created: new Date().toISOString(),
+      lastDeploy: null,
+    };
+    return data.sites[host];
+  });
 
   // Create site directory structure
   const siteDir = path.join(dataDir, "sites", host);
   const deploysDir = path.join(siteDir, "deploys");
   await fs.mkdir(deploysDir, { recursive: true });
 
-  return { ...data.sites[host], host };
+  return { ...site, host };
 }
 
 /**
  * Update a site
  */
 export async function updateSite(dataDir, host, updates) {
-  const data = await loadSites(dataDir);
-
-  if (!data.sites[host]) {
-    throw new Error(`Site ${host} not found`);
-  }
-
-  data.sites[host] = { ...data.sites[host], ...updates };
-  await saveSites(dataDir, data);
+  return modifySites(dataDir, (data) => {
+    if (!data.sites[host]) {
+      throw httpError(`Site ${host} not found`, 404);
+    }
 
-  return data.sites[host];
+    data.sites[host] = { ...data.sites[host], ...updates };
+    return data.sites[host];
+  });
 }
 
 /**
  * Delete a site
  */
 export async function deleteSite(dataDir, host) {
-  const data = await loadSites(dataDir);
-
-  if (!data.sites[host]) {
-    throw new Error(`Site ${host} not found`);
-  }
+  await modifySites(dataDir, (data) => {
+    if (!data.sites[host]) {
+      throw httpError(`Site ${host} not found`, 404);
+    }
 
-  delete data.sites[host];
-  await saveSites(dataDir, data);
+    delete data.sites[host];
+  });
 
   // Optionally delete site directory (dangerous, so we leave it)
   // const siteDir = path.join(dataDir, "sites", host);
@@ -159,29 +404,66 @@ export async function deleteSite(dataDir, host) {
  * Update site environment variables
  */
 export async function updateSiteEnv(dataDir, host, env) {
-  const data = await loadSites(dataDir);
+  return modifySites(dataDir, (data) => {
+    if (!data.sites[host]) {
+      throw httpError(`Site ${host} not found`, 404);
+    }
 
-  if (!data.sites[host]) {
-    throw new Error(`Site ${host} not found`);
-  }
+    data.sites[host].env = env;
+    return data.sites[host].env;
+  });
+}
+
+/**
+ * Set individual environment variables; a null value removes the variable
+ */
+export async function patchSiteEnv(dataDir, host, changes) {
+  return modifySites(dataDir, (data) => {
+    const site = data.sites[host];
+    if (!site) {
+      throw httpError(`Site ${host} not found`, 404);
+    }
+
+    site.env = { ...site.env };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete site.env[key];
+      } else {
+        site.env[key] = value;
+      }
+    }
+    return site.env;
+  });
+}
 
-  data.sites[host].env = env;
-  await saveSites(dataDir, data);
+/**
+ * Replace a site's deploy key, returning the new one
+ */
+export async function rotateDeployKey(dataDir, host) {
+  const deployKey = generateDeployKey();
+  await updateSite(dataDir, host, { deployKey });
+  return deployKey;
+}
 
-  return data.sites[host].env;
+/**
+ * Get the management API key (top-level apiKey in sites.json)
+ */
+export async function getApiKey(dataDir) {
+  const data = await loadSites(dataDir);
+  return data.apiKey || null;
 }
 
 /**
- * Get site environment variables
+ * Get site environment variables (decrypted)
  */
 export async function getSiteEnv(dataDir, host) {
   const site = await getSiteByHost(dataDir, host);
-  return site?.env || {};
+  return decryptEnv(site?.env);
 }
 
 /**
  * Load site.json from a site's current directory (with caching)
- * - In production: cache indefinitely (cleared on deploy via clearSiteConfigCache)
+ * - In production: cache until deploy (clearSiteConfigCache) or a change seen by watchSites
  * - In dev: check mtime for external changes
  */
 export async function getSiteConfig(sitePath) {
@@ -192,27 +474,41 @@ export async function getSiteConfig(sitePath) {
     return cached.config;
   }
 
+  // Dev mode: check mtime for external changes
+  if (isDev && cached) {
+    const mtime = await getMtime(path.join(sitePath, "site.json"));
+    if (cached.mtime === mtime) {
+      return cached.config;
+    }
+  }
+
+  return reloadSiteConfig(sitePath);
+}
+
+/**
+ * Re-read a site.json into the cache.
+ * A malformed file is rejected and the last good config stays in place
+ * (with no good config to fall back on, the parse error is thrown).
+ */
+async function reloadSiteConfig(sitePath) {
   const configPath = path.join(sitePath, "site.json");
+  const cached = siteConfigCache.get(sitePath);
 
   try {
-    // Dev mode: check mtime for external changes
-    if (isDev && cached) {
-      const stat = await fs.stat(configPath);
-      if (cached.mtime === stat.mtimeMs) {
-        return cached.config;
-      }
-    }
-
+    const mtime = await getMtime(configPath);
     const content = await fs.readFile(configPath, "utf8");
-    const config = JSON.parse(content);
 
-    if (isDev) {
-      const stat = await fs.stat(configPath);
-      siteConfigCache.set(sitePath, { config, mtime: stat.mtimeMs });
-    } else {
-      siteConfigCache.set(sitePath, { config, mtime: 0 });
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (err) {
+      if (!cached?.config) throw err;
+      console.error(`Ignoring malformed ${configPath} (keeping last good config): ${err.message}`);
+      siteConfigCache.set(sitePath, { config: cached.config, mtime });
+      return cached.config;
     }
 
+    siteConfigCache.set(sitePath, { config, mtime });
     return config;
   } catch (err) {
     if (err.code === "ENOENT") {
@@ -243,5 +539,6 @@ export const generateApiKey = () => generateKey("ak_");
 export function invalidateSitesCache() {
   sitesCache = null;
   sitesCacheMtime = 0;
+  aliasIndex = null;
 }
 
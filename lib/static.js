@@ -1,4 +1,8 @@
 import path from "path";
+import { getCompressionConfig, compressStatic } from "./compression.js";
+import { getFileValidators, etagForEncoding, isNotModified, isRangeFresh, notModified } from "./conditional.js";
+import { parseRange, rangeResponse, rangeNotSatisfiable } from "./range.js";
+import { compilePathPattern } from "./paths.js";
 
 // Paths that should never be served as static files
 const BLOCKED_PATTERNS = [
@@ -11,6 +15,9 @@ const BLOCKED_PATTERNS = [
   /^\/\.env/,          // Environment files
 ];
 
+// Parsed "spa" settings per site config object (replaced on reload/deploy)
+const spaConfigCache = new WeakMap();
+
 // MIME types for common extensions
 const MIME_TYPES = {
   ".html": "text/html",
@@ -42,8 +49,8 @@ const MIME_TYPES = {
  * Serve static files for a request - returns Response or null
  */
 export async function serveStatic(ctx) {
-  const { sitePath, path: reqPath, siteConfig } = ctx;
-  const cacheControl = siteConfig?.cacheControl || "public, max-age=3600";
+  const { sitePath, path: reqPath } = ctx;
+  const options = getServeOptions(ctx);
 
   // Block sensitive paths
   if (isBlockedPath(reqPath)) {
@@ -52,31 +59,71 @@ export async function serveStatic(ctx) {
 
   // Try to serve the file
   const filePath = path.join(sitePath, reqPath);
-  const response = await tryServeFile(filePath, cacheControl);
+  const response = await tryServeFile(filePath, options);
   if (response) return response;
 
   // Try index.html for directories
   const indexPath = path.join(filePath, "index.html");
-  const indexResponse = await tryServeFile(indexPath, cacheControl);
+  const indexResponse = await tryServeFile(indexPath, options);
   if (indexResponse) return indexResponse;
 
-  // Pretty URLs: /about -> /about.html or /about/index.html
-  if (!reqPath.endsWith("/") && !path.extname(reqPath)) {
-    // Try /about/index.html
-    const prettyIndexPath = path.join(sitePath, reqPath, "index.html");
-    const prettyIndexResponse = await tryServeFile(prettyIndexPath, cacheControl);
-    if (prettyIndexResponse) return prettyIndexResponse;
-
-    // Try /about.html
-    const htmlPath = path.join(sitePath, reqPath + ".html");
-    const htmlResponse = await tryServeFile(htmlPath, cacheControl);
+  // Pretty URLs: /about -> /about.html (and /about/ when trailing slashes are kept)
+  if (options.prettyUrls && reqPath !== "/" && !path.extname(reqPath)) {
+    const htmlPath = path.join(sitePath, reqPath.replace(/\/$/, "") + ".html");
+    const htmlResponse = await tryServeFile(htmlPath, options);
     if (htmlResponse) return htmlResponse;
   }
 
   return null;
 }
 
-async function tryServeFile(filePath, cacheControl) {
+/**
+ * Single-page-app fallback: serve the site.json "spa" document with 200 for
+ * unmatched GET requests that accept HTML. Paths with a file extension,
+ * blocked paths and "exclude" patterns still get their 404.
+ */
+export async function serveSpaFallback(ctx) {
+  const spa = getSpaConfig(ctx.siteConfig);
+  if (!spa) return null;
+
+  if (ctx.method !== "GET" && ctx.method !== "HEAD") return null;
+  if (!(ctx.headers.accept || "").includes("text/html")) return null;
+  if (path.extname(ctx.path) || isBlockedPath(ctx.path)) return null;
+  if (spa.exclude.some((pattern) => pattern.test(ctx.path))) return null;
+
+  // Validation rejects fallbacks outside the site, but site.json can be edited in place
+  const fallbackPath = path.join(ctx.sitePath, spa.fallback);
+  if (isBlockedPath(spa.fallback) || !fallbackPath.startsWith(ctx.sitePath + path.sep)) return null;
+
+  return tryServeFile(fallbackPath, getServeOptions(ctx));
+}
+
+function getSpaConfig(siteConfig) {
+  const value = siteConfig?.spa;
+  if (!value) return null;
+
+  let spa = spaConfigCache.get(siteConfig);
+  if (!spa) {
+    const { fallback = "/index.html", exclude = [] } = typeof value === "object" ? value : {};
+    spa = { fallback: path.posix.normalize(fallback), exclude: exclude.map(compilePathPattern) };
+    spaConfigCache.set(siteConfig, spa);
+  }
+  return spa;
+}
+
+function getServeOptions(ctx) {
+  const { siteConfig } = ctx;
+  return {
+    cacheControl: siteConfig?.cacheControl || "public, max-age=3600",
+    prettyUrls: siteConfig?.prettyUrls !== false,
+    compression: getCompressionConfig(siteConfig),
+    acceptEncoding: ctx.headers["accept-encoding"],
+    method: ctx.method,
+    requestHeaders: new Headers(ctx.headers),
+  };
+}
+
+async function tryServeFile(filePath, options) {
   const file = Bun.file(filePath);
 
   if (!(await file.exists())) {
@@ -92,12 +139,46 @@ async function tryServeFile(filePath, cacheControl) {
   const ext = path.extname(filePath).toLowerCase();
   const contentType = MIME_TYPES[ext] || "application/octet-stream";
 
-  return new Response(file, {
-    headers: {
-      "Content-Type": contentType,
-      "Cache-Control": cacheControl,
-    },
+  const { etag, lastModified } = await getFileValidators(filePath, file);
+  const headers = new Headers({
+    "Content-Type": contentType,
+    "Cache-Control": options.cacheControl,
+    "Last-Modified": lastModified,
+    "Accept-Ranges": "bytes",
   });
+
+  // Ranges are byte offsets into the uncompressed file, so they're served without Content-Encoding
+  const rangeHeader = options.method === "GET" ? options.requestHeaders.get("range") : null;
+  const wantsRange = Boolean(rangeHeader) && isRangeFresh(options.requestHeaders, { etag, lastModified });
+
+  let body = file;
+  let encoding = null;
+  const acceptEncoding = wantsRange ? "identity" : options.acceptEncoding;
+  const compressed = await compressStatic(filePath, file, contentType, acceptEncoding, options.compression);
+  if (compressed) {
+    ({ body, encoding } = compressed);
+    headers.set("Vary", "Accept-Encoding");
+    if (encoding) {
+      headers.set("Content-Encoding", encoding);
+    }
+  }
+  headers.set("ETag", etagForEncoding(etag, encoding));
+
+  if (isNotModified(options.method, options.requestHeaders, { etag, lastModified })) {
+    return notModified(headers);
+  }
+
+  if (wantsRange) {
+    const ranges = parseRange(rangeHeader, file.size);
+    if (ranges?.length === 0) {
+      return rangeNotSatisfiable(file.size, headers);
+    }
+    if (ranges) {
+      return rangeResponse(file, ranges, headers);
+    }
+  }
+
+  return new Response(body, { headers });
 }
 
 /**
@@ -113,14 +194,18 @@ export function isBlockedPath(reqPath) {
 }
 
 /**
- * Serve a custom error page if it exists, otherwise plain text
+ * Serve a custom error page if it exists, otherwise plain text.
+ * Error pages carry validators, but conditional requests only ever produce
+ * a 304 for 2xx responses (RFC 9110), so the page itself is always sent.
  */
 export async function serveError(sitePath, status, defaultMessage) {
-  const errorFile = Bun.file(path.join(sitePath, `${status}.html`));
+  const errorPath = path.join(sitePath, `${status}.html`);
+  const errorFile = Bun.file(errorPath);
   if (await errorFile.exists()) {
+    const { etag, lastModified } = await getFileValidators(errorPath, errorFile);
     return new Response(errorFile, {
       status,
-      headers: { "Content-Type": "text/html" },
+      headers: { "Content-Type": "text/html", "ETag": etag, "Last-Modified": lastModified },
     });
   }
   return new Response(defaultMessage, { status });
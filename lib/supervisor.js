@@ -0,0 +1,102 @@
+/**
+ * Production process supervisor
+ *
+ * Keeps one worker process serving on PORT. On SIGUSR2 it starts a fresh worker
+ * (workers listen with reusePort, so both accept connections for a moment),
+ * waits for it to report ready, then tells the old worker to drain. The
+ * supervisor's pid never changes, so systemd sees one long-running service.
+ */
+
+const READY_TIMEOUT = 30000;
+const RESPAWN_DELAY = 1000;
+
+export const isWorker = process.env.BUNPAAS_WORKER === "1";
+
+/**
+ * Tell the supervisor this worker is listening (no-op outside a supervisor)
+ */
+export function notifyReady() {
+  process.send?.({ type: "ready" });
+}
+
+export async function startSupervisor() {
+  let worker = await spawnWorker();
+  let reloading = false;
+  let stopping = false;
+
+  watchExit(worker);
+
+  // Restart a worker that dies on its own
+  function watchExit(proc) {
+    proc.exited.then(async (code) => {
+      if (stopping || proc !== worker) return;
+      console.error(`Worker ${proc.pid} exited with code ${code}, restarting...`);
+      await Bun.sleep(RESPAWN_DELAY);
+      if (stopping || proc !== worker) return;
+      worker = await spawnWorker().catch((err) => {
+        console.error("Failed to restart worker:", err.message);
+        return proc;
+      });
+      if (worker !== proc) watchExit(worker);
+    });
+  }
+
+  process.on("SIGUSR2", async () => {
+    if (reloading || stopping) return;
+    reloading = true;
+    console.log("SIGUSR2 received, starting new worker...");
+
+    try {
+      const next = await spawnWorker();
+      const previous = worker;
+      worker = next;
+      watchExit(next);
+      previous.kill("SIGTERM"); // drains, then exits
+      console.log(`Worker ${next.pid} is serving, draining ${previous.pid}`);
+    } catch (err) {
+      console.error("Reload failed, keeping current worker:", err.message);
+    } finally {
+      reloading = false;
+    }
+  });
+
+  const shutdown = async () => {
+    if (stopping) return;
+    stopping = true;
+    console.log("Shutting down...");
+    worker.kill("SIGTERM");
+    await worker.exited;
+    process.exit(0);
+  };
+
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
+}
+
+/**
+ * Start a worker running this same script and wait for its ready message
+ */
+function spawnWorker() {
+  return new Promise((resolve, reject) => {
+    const proc = Bun.spawn([process.execPath, ...process.argv.slice(1)], {
+      env: { ...process.env, BUNPAAS_WORKER: "1" },
+      stdio: ["inherit", "inherit", "inherit"],
+      ipc(message) {
+        if (message?.type === "ready") {
+          clearTimeout(timer);
+          resolve(proc);
+        }
+      },
+    });
+
+    const timer = setTimeout(() => {
+      proc.kill();
+      reject(new Error(`Worker ${proc.pid} did not become ready`));
+    }, READY_TIMEOUT);
+
+    proc.exited.then((code) => {
+      clearTimeout(timer);
+      reject(new Error(`Worker ${proc.pid} exited with code ${code} before becoming ready`));
+    });
+  });
+}
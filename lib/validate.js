@@ -0,0 +1,231 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { parseRedirects } from "./redirects.js";
+import { parseHeaders } from "./headers.js";
+import { isBlockedPath } from "./static.js";
+import { runFunction, retireFunctionRunners } from "./function-pool.js";
+
+// How long a function module's top-level code may take to load during validation
+const MODULE_LOAD_TIMEOUT = 10000;
+
+/**
+ * site.json schema: key -> check(value) returning an error message or null.
+ * Unknown keys are reported as warnings, not errors.
+ */
+const SITE_CONFIG_SCHEMA = {
+  cors: (value) =>
+    expectObject(value) ||
+    optional(value.origins, (v) => expectStringArray(v, "cors.origins")) ||
+    optional(value.credentials, (v) => expectType(v, "boolean", "cors.credentials")) ||
+    optional(value.methods, (v) => expectStringArray(v, "cors.methods")) ||
+    optional(value.headers, (v) => expectStringArray(v, "cors.headers")),
+  auth: (value) => {
+    if (value === "basic") return null;
+    if (value?.type !== "basic") return `must be "basic" or { "type": "basic", "paths": [...] }`;
+    return expectStringArray(value.paths, "auth.paths");
+  },
+  cacheControl: (value) => expectType(value, "string"),
+  functionTimeout: (value) => expectPositiveNumber(value),
+  bodyLimit: (value) => (Number.isInteger(value) && value > 0 ? null : "must be a positive integer (bytes)"),
+  trailingSlash: (value) => (["strip", "add", "ignore"].includes(value) ? null : 'must be "strip", "add" or "ignore"'),
+  prettyUrls: (value) => expectType(value, "boolean"),
+  middleware: (value) => (["functions", "all"].includes(value) ? null : 'must be "functions" or "all"'),
+  proxy: (value) => {
+    if (!Array.isArray(value)) return "must be an array of rules";
+    for (const [i, rule] of value.entries()) {
+      const name = `proxy[${i}]`;
+      const message =
+        expectObject(rule) ||
+        (typeof rule.path === "string" && rule.path.startsWith("/") ? null : `"${name}.path" must be a path starting with "/"`) ||
+        (/^https?:\/\/[^/]/.test(rule.target ?? "") && URL.canParse(rule.target) ? null : `"${name}.target" must be an http(s) URL`) ||
+        optional(rule.stripPrefix, (v) => expectType(v, "string", `${name}.stripPrefix`)) ||
+        optional(rule.timeout, (v) => (typeof v === "number" && v > 0 ? null : `"${name}.timeout" must be a positive number`));
+      if (message) return message.startsWith('"') ? message : `"${name}" ${message}`;
+    }
+    return null;
+  },
+  spa: (value) => {
+    if (typeof value === "boolean") return null;
+    return (
+      expectObject(value) ||
+      optional(value.fallback, checkSpaFallback) ||
+      optional(value.exclude, (v) => expectStringArray(v, "spa.exclude"))
+    );
+  },
+  compression: (value) => {
+    if (typeof value === "boolean") return null;
+    return (
+      expectObject(value) ||
+      optional(value.static, (v) => expectType(v, "boolean", "compression.static")) ||
+      optional(value.functions, (v) => expectType(v, "boolean", "compression.functions")) ||
+      optional(value.minSize, (v) => (Number.isInteger(v) && v >= 0 ? null : '"compression.minSize" must be a non-negative integer'))
+    );
+  },
+};
+
+/**
+ * The SPA fallback is served as a static file, so it must stay inside the
+ * site and must not be a path that's never served (/_functions/..., /site.json)
+ */
+function checkSpaFallback(value) {
+  if (typeof value !== "string" || !value.startsWith("/")) return '"spa.fallback" must be a path starting with "/"';
+  if (value.split(/[/\\]/).includes("..")) return '"spa.fallback" must not contain ".."';
+  if (isBlockedPath(path.posix.normalize(value))) return '"spa.fallback" must not be a blocked path';
+  return null;
+}
+
+/**
+ * Validate a staged release before activation.
+ * Returns { errors, warnings }, each a list of { file, message, line? }.
+ */
+export async function validateRelease(releaseDir) {
+  const errors = [];
+  const warnings = [];
+
+  await validateSiteConfig(releaseDir, errors, warnings);
+  await validateRedirects(releaseDir, errors, warnings);
+  await validateHeaders(releaseDir, errors);
+  await validateFunctions(releaseDir, errors);
+
+  return { errors, warnings };
+}
+
+async function validateSiteConfig(releaseDir, errors, warnings) {
+  const content = await readOptional(path.join(releaseDir, "site.json"));
+  if (content === null) return;
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (err) {
+    errors.push({ file: "site.json", message: `Invalid JSON: ${err.message}` });
+    return;
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    errors.push({ file: "site.json", message: "Must be a JSON object" });
+    return;
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    const check = SITE_CONFIG_SCHEMA[key];
+    if (!check) {
+      warnings.push({ file: "site.json", message: `Unknown key "${key}"` });
+      continue;
+    }
+
+    // Nested checks name their own key ("cors.origins ...")
+    const message = check(value);
+    if (message) {
+      errors.push({ file: "site.json", message: message.startsWith('"') ? message : `"${key}" ${message}` });
+    }
+  }
+}
+
+async function validateRedirects(releaseDir, errors, warnings) {
+  const content = await readOptional(path.join(releaseDir, "_redirects"));
+  if (content === null) return;
+
+  const parsed = parseRedirects(content);
+  for (const { line, message } of parsed.errors) {
+    errors.push({ file: "_redirects", line, message });
+  }
+  for (const { line, message } of parsed.warnings) {
+    warnings.push({ file: "_redirects", line, message });
+  }
+}
+
+async function validateHeaders(releaseDir, errors) {
+  const content = await readOptional(path.join(releaseDir, "_headers"));
+  if (content === null) return;
+
+  for (const { line, message } of parseHeaders(content).errors) {
+    errors.push({ file: "_headers", line, message });
+  }
+}
+
+/**
+ * Load every function module so syntax and load errors fail the deploy, not
+ * the first request that hits them. Modules are loaded in a throwaway runner
+ * pool (never in the server process), so top-level code can't see the
+ * server's secrets or block it.
+ */
+async function validateFunctions(releaseDir, errors) {
+  const functionsDir = path.join(releaseDir, "_functions");
+
+  let files;
+  try {
+    files = await Array.fromAsync(new Bun.Glob("**/*.js").scan({ cwd: functionsDir }));
+  } catch {
+    return; // No _functions directory
+  }
+
+  const poolKey = `validate:${releaseDir}`;
+  try {
+    for (const file of files.sort()) {
+      const message = await checkFunctionModule(poolKey, path.join(functionsDir, file), path.basename(file) === "_middleware.js");
+      if (message) {
+        errors.push({ file: path.join("_functions", file), message });
+      }
+    }
+  } finally {
+    retireFunctionRunners(poolKey);
+  }
+}
+
+async function checkFunctionModule(poolKey, modulePath, isMiddleware) {
+  let outcome;
+  try {
+    outcome = await runFunction(poolKey, { modulePath, inspect: true, timeout: MODULE_LOAD_TIMEOUT });
+  } catch (err) {
+    return err.message === "Function timeout" ? `Module took longer than ${MODULE_LOAD_TIMEOUT / 1000}s to load` : err.message;
+  }
+
+  const exports = outcome.result || {};
+  if (outcome.error || exports.loadError) return outcome.error || exports.loadError;
+  if (isMiddleware && exports.defaultType !== "function") return "Middleware must export a default function";
+  return validateFunctionConfig(exports.config);
+}
+
+/**
+ * Check a function's `export const config`
+ */
+function validateFunctionConfig(config) {
+  if (config === undefined) return null;
+  return (
+    (expectObject(config) ? '"config" must be an object' : null) ||
+    optional(config.bodyLimit, (v) => (Number.isInteger(v) && v > 0 ? null : '"config.bodyLimit" must be a positive integer (bytes)'))
+  );
+}
+
+async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function optional(value, check) {
+  return value === undefined ? null : check(value);
+}
+
+function expectType(value, type, name = null) {
+  if (typeof value === type) return null;
+  return name ? `"${name}" must be a ${type}` : `must be a ${type}`;
+}
+
+function expectObject(value) {
+  return value && typeof value === "object" && !Array.isArray(value) ? null : "must be an object";
+}
+
+function expectStringArray(value, name) {
+  return Array.isArray(value) && value.every((v) => typeof v === "string")
+    ? null
+    : `"${name}" must be an array of strings`;
+}
+
+function expectPositiveNumber(value) {
+  return typeof value === "number" && value > 0 ? null : "must be a positive number";
+}
@@ -1,35 +1,73 @@
 import { createHandler } from "./app.js";
-import { PORT } from "./lib/config.js";
+import { PORT, DRAIN_TIMEOUT, isDev } from "./lib/config.js";
 import { shutdown as shutdownLogs } from "./lib/logs.js";
+import { closeAll as closeChannels } from "./lib/channels.js";
+import { stopFunctionRunners } from "./lib/function-pool.js";
+import { startSupervisor, isWorker, notifyReady } from "./lib/supervisor.js";
 
-const handler = await createHandler();
+// Production runs a supervisor that swaps workers on SIGUSR2 without downtime.
+// Dev (and each worker) serves directly.
+if (!isDev && !isWorker) {
+  await startSupervisor().catch((err) => {
+    console.error("Failed to start:", err.message);
+    process.exit(1);
+  });
+} else {
+  await startServer();
+}
 
-const server = Bun.serve({
-  port: PORT,
-  fetch: handler,
-});
+async function startServer() {
+  const handler = await createHandler();
 
-console.log(`Bun server running at http://localhost:${server.port}`);
+  const server = Bun.serve({
+    port: PORT,
+    reusePort: true,
+    fetch: handler,
+  });
 
-// Graceful shutdown
-process.on("SIGTERM", async () => {
-  console.log("Shutting down...");
-  server.stop();
-  await shutdownLogs();
-  process.exit(0);
-});
+  console.log(`Bun server running at http://localhost:${server.port}`);
+  notifyReady();
 
-process.on("SIGINT", async () => {
-  console.log("Shutting down...");
-  server.stop();
-  await shutdownLogs();
-  process.exit(0);
-});
+  let draining = false;
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+    console.log("Draining connections...");
+    await drainServer(server);
+    process.exit(0);
+  };
+
+  // Graceful shutdown
+  process.on("SIGTERM", drain);
+  process.on("SIGINT", drain);
 
-// Hot reload on SIGUSR2
-// Note: In dev with --watch, file changes auto-restart. SIGUSR2 is for production deploys.
-process.on("SIGUSR2", async () => {
-  console.log("SIGUSR2 received, restarting...");
+  // Note: In dev with --watch, file changes auto-restart. In production the
+  // supervisor handles SIGUSR2; a standalone process drains and lets systemd restart it.
+  process.on("SIGUSR2", () => {
+    console.log("SIGUSR2 received, restarting...");
+    drain();
+  });
+}
+
+/**
+ * Stop accepting connections, let in-flight requests finish (up to DRAIN_TIMEOUT),
+ * close SSE streams with a reconnect hint, and flush logs last.
+ */
+async function drainServer(server) {
   server.stop();
-  process.exit(0);  // Let systemd/process manager restart us
-});
+
+  // SSE streams never finish on their own
+  closeChannels();
+
+  const deadline = Date.now() + DRAIN_TIMEOUT;
+  while (server.pendingRequests > 0 && Date.now() < deadline) {
+    await Bun.sleep(50);
+  }
+  if (server.pendingRequests > 0) {
+    console.warn(`Drain timeout: closing ${server.pendingRequests} request(s)`);
+  }
+  server.stop(true);
+  stopFunctionRunners();
+
+  await shutdownLogs();
+}
@@ -113,6 +113,7 @@ async function setup() {
 
   // Create sites.json
   const sitesJson = {
+    apiKey,
     sites: {
       [adminHost]: {
         enabled: true,
@@ -144,7 +145,7 @@ async function setup() {
   console.log("\nAdmin credentials:");
   console.log(`  Username: ${adminUsername}`);
   console.log("  Password: (as entered)");
-  console.log(`  API Key:  ${apiKey}`);
+  console.log(`  API Key:  ${apiKey}  (also used for /_bunpaas/api/v1)`);
   console.log("\nDeploy key (save this!):");
   console.log(`  ${adminHost}: ${adminDeployKey}`);
   console.log("\nNext steps:");
@@ -6,13 +6,24 @@ import path from "path";
 const PORT = 7099;
 const TEST_DATA_DIR = `/tmp/paas-test-${process.pid}`;
 const TEST_HOST = "test-site.localhost";
+const DEPLOY_HOST = "deploy-site.localhost";
+const MASTER_KEY = "test-master-key";
+const UPSTREAM_PORT = PORT - 3;
 
 let serverProc;
 
+// Each request gets its own client IP so the suite stays under the per-IP rate limit
+let clientCounter = 0;
+function serverFetch(route, init = {}) {
+  return fetch(`http://localhost:${PORT}${route}`, {
+    ...init,
+    headers: { "X-Forwarded-For": `test-client-${clientCounter++}`, ...init.headers },
+  });
+}
+
 async function request(path, options = {}) {
   const { method = "GET", headers = {}, body, host = TEST_HOST, redirect } = options;
-  const url = `http://localhost:${PORT}${path}`;
-  const res = await fetch(url, {
+  const res = await serverFetch(path, {
     method,
     headers: { Host: host, ...headers },
     body: body ? JSON.stringify(body) : undefined,
@@ -21,6 +32,56 @@ async function request(path, options = {}) {
   return res;
 }
 
+// Build a tar.gz or zip archive from { relativePath: content }
+async function makeArchive(files, format = "tar.gz") {
+  const srcDir = `${TEST_DATA_DIR}/tmp/archive-${crypto.randomUUID()}`;
+  for (const [name, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(`${srcDir}/${name}`), { recursive: true });
+    await fs.writeFile(`${srcDir}/${name}`, content);
+  }
+
+  const archivePath = `${srcDir}.${format}`;
+  const cmd = format === "zip"
+    ? ["zip", "-qr", archivePath, "."]
+    : ["tar", "-czf", archivePath, "-C", srcDir, "."];
+  await spawn({ cmd, cwd: srcDir }).exited;
+
+  return Bun.file(archivePath).arrayBuffer();
+}
+
+async function deployArchive(archive, { host = DEPLOY_HOST, key = "dk_deploy", query = "" } = {}) {
+  return serverFetch(`/_bunpaas/api/v1/sites/${host}/deploys${query}`, {
+    method: "POST",
+    headers: { "X-Deploy-Key": key, "X-Deployed-By": "ci" },
+    body: archive,
+  });
+}
+
+async function listReleases(host = DEPLOY_HOST) {
+  const res = await serverFetch(`/_bunpaas/api/v1/sites/${host}/deploys`, {
+    headers: { "X-Deploy-Key": "dk_deploy" },
+  });
+  return (await res.json()).releases;
+}
+
+// Start a production-mode server (supervisor + worker) on its own data dir and port
+async function startProductionServer(dataDir, port) {
+  const proc = spawn({
+    cmd: ["bun", path.resolve(import.meta.dir, "../server.js")],
+    env: { ...process.env, NODE_ENV: "production", BUNPAAS_DATA_DIR: dataDir, BUNPAAS_PORT: String(port) },
+    stdout: "ignore",
+    stderr: "ignore",
+  });
+
+  for (let i = 0; i < 50; i++) {
+    try {
+      if ((await fetch(`http://localhost:${port}/health`)).ok) break;
+    } catch {}
+    await Bun.sleep(100);
+  }
+  return proc;
+}
+
 beforeAll(async () => {
   // Create test fixtures
   const siteDir = `${TEST_DATA_DIR}/sites/${TEST_HOST}/current`;
@@ -29,6 +90,8 @@ beforeAll(async () => {
 
   await fs.mkdir(dynamicDir, { recursive: true });
   await fs.mkdir(`${TEST_DATA_DIR}/logs`, { recursive: true });
+  await fs.mkdir(`${TEST_DATA_DIR}/tmp`, { recursive: true });
+  await fs.mkdir(`${TEST_DATA_DIR}/sites/${DEPLOY_HOST}/deploys`, { recursive: true });
   await fs.mkdir(`${siteDir}/docs`, { recursive: true });
 
   // Create password hash
@@ -36,12 +99,21 @@ beforeAll(async () => {
 
   // sites.json
   await fs.writeFile(`${TEST_DATA_DIR}/sites.json`, JSON.stringify({
+    apiKey: "ak_test",
     sites: {
       [TEST_HOST]: {
         enabled: true,
+        aliases: ["www.test-site.localhost", "*.wild.localhost"],
         deployKey: "dk_test123",
         env: { ADMIN_USERNAME: "admin", ADMIN_PASSWORD_HASH: passHash, TEST_VAR: "hello" },
       },
+      "canonical-site.localhost": {
+        enabled: true,
+        aliases: ["www.canonical-site.localhost"],
+        canonicalRedirect: true,
+        deployKey: "dk_canonical",
+        env: {},
+      },
       "disabled-site.localhost": {
         enabled: false,
         deployKey: "dk_disabled",
@@ -57,6 +129,54 @@ beforeAll(async () => {
         deployKey: "dk_pathauth",
         env: { ADMIN_USERNAME: "admin", ADMIN_PASSWORD_HASH: passHash },
       },
+      "spa-site.localhost": {
+        enabled: true,
+        deployKey: "dk_spa",
+        env: {},
+      },
+      "slash-add.localhost": {
+        enabled: true,
+        deployKey: "dk_slash_add",
+        env: {},
+      },
+      "slash-ignore.localhost": {
+        enabled: true,
+        deployKey: "dk_slash_ignore",
+        env: {},
+      },
+      "proxy-site.localhost": {
+        enabled: true,
+        deployKey: "dk_proxy",
+        env: {},
+      },
+      "nocompress.localhost": {
+        enabled: true,
+        deployKey: "dk_nocompress",
+        env: {},
+      },
+      "isolated.localhost": {
+        enabled: true,
+        deployKey: "dk_isolated",
+        env: {},
+      },
+      "middleware.localhost": {
+        enabled: true,
+        deployKey: "dk_middleware",
+        env: {},
+      },
+      "legacy-site.localhost": {
+        enabled: true,
+        deployKey: "dk_legacy",
+        env: {},
+        keepReleases: 1,
+      },
+      [DEPLOY_HOST]: {
+        enabled: true,
+        deployKey: "dk_deploy",
+        env: {},
+        lastDeploy: null,
+        keepReleases: 3,
+      },
     },
   }));
 
@@ -65,7 +185,132 @@ beforeAll(async () => {
     cors: { origins: ["http://allowed.com"], credentials: true },
     cacheControl: "public, max-age=7200",
     functionTimeout: 100,
+    bodyLimit: 4096,
+  }));
+
+  // Site with compression turned off
+  const noCompressDir = `${TEST_DATA_DIR}/sites/nocompress.localhost/current`;
+  await fs.mkdir(noCompressDir, { recursive: true });
+  await fs.writeFile(`${noCompressDir}/site.json`, JSON.stringify({ compression: false }));
+  await fs.writeFile(`${noCompressDir}/big.css`, ".item { color: blue; }\n".repeat(200));
+
+  // Functions that misbehave
+  const isolatedDir = `${TEST_DATA_DIR}/sites/isolated.localhost/current`;
+  await fs.mkdir(`${isolatedDir}/_functions`, { recursive: true });
+  await fs.writeFile(`${isolatedDir}/site.json`, JSON.stringify({ functionTimeout: 1000 }));
+  await fs.writeFile(`${isolatedDir}/_functions/spin.js`, `
+export function get() {
+  while (true) {}
+}
+`);
+  await fs.writeFile(`${isolatedDir}/_functions/crash.js`, `
+export function get() {
+  process.exit(1);
+}
+`);
+  await fs.writeFile(`${isolatedDir}/_functions/hog.js`, `
+export async function get() {
+  const chunks = [];
+  for (let i = 0; i < 32; i++) {
+    chunks.push(Buffer.alloc(16 * 1024 * 1024, 1));
+    await Bun.sleep(20);
+  }
+  return { body: { allocated: chunks.length } };
+}
+`);
+  await fs.writeFile(`${isolatedDir}/_functions/linger.js`, `
+export function get() {
+  setTimeout(() => { while (true) {} }, 10);
+  return { body: "done" };
+}
+`);
+  await fs.writeFile(`${isolatedDir}/_functions/env.js`, `
+export function get(req) {
+  return { body: { masterKey: process.env.BUNPAAS_MASTER_KEY ?? null } };
+}
+`);
+
+  // Middleware for functions and static files
+  const middlewareDir = `${TEST_DATA_DIR}/sites/middleware.localhost/current`;
+  await fs.mkdir(`${middlewareDir}/_functions/admin`, { recursive: true });
+  await fs.mkdir(`${middlewareDir}/admin`, { recursive: true });
+  await fs.writeFile(`${middlewareDir}/site.json`, JSON.stringify({ middleware: "all" }));
+  await fs.writeFile(`${middlewareDir}/index.html`, "<h1>Home</h1>");
+  await fs.writeFile(`${middlewareDir}/admin/page.html`, "<h1>Admin</h1>");
+  await fs.writeFile(`${middlewareDir}/admin/index.html`, "<h1>Dashboard</h1>");
+  await fs.writeFile(`${middlewareDir}/_functions/_middleware.js`, `
+export default async function (req, next) {
+  if (req.headers["x-block"]) return { status: 403, body: { error: "Blocked" } };
+  req.user = req.headers["x-user"] || null;
+  const res = await next();
+  res.headers = { ...res.headers, "X-Middleware": "root" };
+  return res;
+}
+`);
+  await fs.writeFile(`${middlewareDir}/_functions/admin/_middleware.js`, `
+export default async function (req, next) {
+  if (!req.user) return { status: 401, body: { error: "Login required" } };
+  const res = await next();
+  res.headers = { ...res.headers, "X-Admin": "yes" };
+  return res;
+}
+`);
+  await fs.writeFile(`${middlewareDir}/_functions/whoami.js`, `
+export function get(req) {
+  return { body: { user: req.user } };
+}
+`);
+  await fs.writeFile(`${middlewareDir}/_functions/admin/stats.js`, `
+export function get(req) {
+  return { body: { visits: 42 } };
+}
+`);
+
+  // Single-page app
+  const spaDir = `${TEST_DATA_DIR}/sites/spa-site.localhost/current`;
+  await fs.mkdir(`${spaDir}/_functions`, { recursive: true });
+  await fs.writeFile(`${spaDir}/site.json`, JSON.stringify({ spa: { exclude: ["/api/*"] } }));
+  await fs.writeFile(`${spaDir}/index.html`, "<div id=app></div>");
+  await fs.writeFile(`${spaDir}/_functions/items.js`, `
+export function get(req) {
+  return { status: 404, body: { error: "No items" } };
+}
+`);
+
+  // Trailing slash policies
+  for (const [host, config] of [
+    ["slash-add.localhost", { trailingSlash: "add" }],
+    ["slash-ignore.localhost", { trailingSlash: "ignore", prettyUrls: false }],
+  ]) {
+    const dir = `${TEST_DATA_DIR}/sites/${host}/current`;
+    await fs.mkdir(`${dir}/docs`, { recursive: true });
+    await fs.mkdir(`${dir}/_functions/users`, { recursive: true });
+    await fs.writeFile(`${dir}/site.json`, JSON.stringify(config));
+    await fs.writeFile(`${dir}/docs/index.html`, "<h1>Docs</h1>");
+    await fs.writeFile(`${dir}/guide.html`, "<h1>Guide</h1>");
+    await fs.writeFile(`${dir}/style.css`, "body {}");
+    await fs.mkdir(`${dir}/.well-known`, { recursive: true });
+    await fs.writeFile(`${dir}/.well-known/apple-app-site-association`, "{}");
+    await fs.writeFile(`${dir}/LICENSE`, "MIT");
+    await fs.writeFile(`${dir}/_functions/users.js`, `export function get() { return { body: "users.js" }; }`);
+    await fs.writeFile(`${dir}/_functions/users/index.js`, `export function get() { return { body: "users/index.js" }; }`);
+  }
+
+  // _redirects edited in place, with a line deploy validation would reject
+  await fs.writeFile(`${TEST_DATA_DIR}/sites/slash-ignore.localhost/current/_redirects`, "/fine /docs 301\n/missing-target\n");
+
+  // Proxy site (upstream runs in the Reverse Proxy tests)
+  const proxyDir = `${TEST_DATA_DIR}/sites/proxy-site.localhost/current`;
+  await fs.mkdir(proxyDir, { recursive: true });
+  await fs.writeFile(`${proxyDir}/site.json`, JSON.stringify({
+    cors: { origins: ["http://allowed.com"] },
+    proxy: [
+      { path: "/api/*", target: `http://127.0.0.1:${UPSTREAM_PORT}/v2`, stripPrefix: "/api", timeout: 300 },
+    ],
   }));
+  await fs.writeFile(`${proxyDir}/_redirects`, `/legacy/* http://127.0.0.1:${UPSTREAM_PORT}/old/:splat 200
+/down/* http://127.0.0.1:1/:splat 200
+`);
 
   // Auth site
   const authSiteDir = `${TEST_DATA_DIR}/sites/auth-site.localhost/current`;
@@ -87,6 +332,11 @@ beforeAll(async () => {
   await fs.writeFile(`${siteDir}/index.html`, "<h1>Home</h1>");
   await fs.writeFile(`${siteDir}/about.html`, "<h1>About</h1>");
   await fs.writeFile(`${siteDir}/style.css`, "body { color: red; }");
+  await fs.writeFile(`${siteDir}/big.css`, ".item { color: blue; }\n".repeat(200));
+  await fs.writeFile(`${siteDir}/bundle.js`, "console.log('original');");
+  await fs.writeFile(`${siteDir}/bundle.js.gz`, Bun.gzipSync("console.log('precompressed');"));
+  await fs.writeFile(`${siteDir}/photo.png`, new Uint8Array(4096));
+  await fs.writeFile(`${siteDir}/clip.mp4`, Uint8Array.from({ length: 1000 }, (_, i) => i % 256));
   await fs.writeFile(`${siteDir}/docs/index.html`, "<h1>Docs</h1>");
   await fs.writeFile(`${siteDir}/.env`, "SECRET=bad");
 
@@ -98,6 +348,12 @@ export function get(req) {
 export function post(req) {
   return { body: { received: req.body } };
 }
+`);
+
+  await fs.writeFile(`${functionsDir}/secret.js`, `
+export function get(req) {
+  return { body: { token: req.env.SECRET_TOKEN } };
+}
 `);
 
   await fs.writeFile(`${functionsDir}/echo.js`, `
@@ -123,6 +379,15 @@ export function post(req) {
   req.publish(req.body.channel, req.body.message);
   return { body: { sent: true } };
 }
+`);
+
+  await fs.writeFile(`${functionsDir}/upload.js`, `
+export const config = { bodyLimit: 64 * 1024 };
+
+export function post(req) {
+  const { title, file } = req.body;
+  return { body: { title, name: file.name, type: file.type, size: file.size, text: file.content.toString() } };
+}
 `);
 
   await fs.writeFile(`${functionsDir}/slow.js`, `
@@ -132,17 +397,95 @@ export async function get() {
 }
 `);
 
+  // Route specificity: static, then [param], then catch-alls
+  await fs.mkdir(`${functionsDir}/guides`, { recursive: true });
+  await fs.mkdir(`${functionsDir}/wiki`, { recursive: true });
+  await fs.mkdir(`${functionsDir}/pick/[beta]`, { recursive: true });
+  await fs.mkdir(`${functionsDir}/pick/[alpha]`, { recursive: true });
+  await fs.writeFile(`${functionsDir}/guides/intro.js`, `
+export function get() {
+  return { body: { route: "static" } };
+}
+`);
+  await fs.writeFile(`${functionsDir}/guides/[page].js`, `
+export function get(req) {
+  return { body: { route: "param", page: req.params.page } };
+}
+`);
+  await fs.writeFile(`${functionsDir}/guides/[...slug].js`, `
+export function get(req) {
+  return { body: { route: "catch-all", slug: req.params.slug } };
+}
+`);
+  await fs.writeFile(`${functionsDir}/wiki/[[...path]].js`, `
+export function get(req) {
+  return { body: { path: req.params.path } };
+}
+`);
+  for (const name of ["alpha", "beta"]) {
+    await fs.writeFile(`${functionsDir}/pick/[${name}]/item.js`, `
+export function get(req) {
+  return { body: { params: req.params } };
+}
+`);
+  }
+
   await fs.writeFile(`${dynamicDir}/index.js`, `
 export function get(req) {
   return { body: { userId: req.params.id } };
 }
 `);
 
+  await fs.writeFile(`${functionsDir}/versioned.js`, `
+export function get() {
+  return { etag: "v1", headers: { "Cache-Control": "no-cache" }, body: { version: 1 } };
+}
+`);
+
+  await fs.writeFile(`${functionsDir}/report.js`, `
+export function get() {
+  return { body: { rows: Array.from({ length: 100 }, (_, i) => ({ id: i, name: "row " + i })) } };
+}
+`);
+
+  // _headers
+  await fs.writeFile(`${siteDir}/_headers`, `# Long-lived caching for fingerprinted assets
+/assets/*
+  Cache-Control: public, max-age=31536000, immutable
+
+/docs/*
+  Content-Security-Policy: default-src 'self'
+  ! X-Frame-Options
+
+/users/:id
+  X-Robots-Tag: noindex
+  X-Robots-Tag: nofollow
+
+/*
+  X-Site: test
+`);
+  await fs.mkdir(`${siteDir}/assets`, { recursive: true });
+  await fs.writeFile(`${siteDir}/assets/app.css`, "body { margin: 0; }");
+
   // _redirects
   await fs.writeFile(`${siteDir}/_redirects`, `/old-page /new-page
 /temp /somewhere 302
 /blog/* /posts/:splat
+/members/:id /profile?id=:id
+/search q=:term /find/:term 302
+/shop type=sale /sale 302
+/drop-query /new-page? 302
+/about /elsewhere 302
+/shadowed.html /about.html 200!
+/guide /docs/index.html 200
+/api/user/:id /users/:id 200
+/welcome /fr/welcome 302 Language=fr,de
+/welcome /en/welcome 302
+/beta-app/* /beta/:splat 302 Cookie=beta
+/staging-only /staging 302 Header=X-Env:staging
+/office /intranet 302 IP=10.0.0.0/8
 `);
+  await fs.writeFile(`${siteDir}/shadowed.html`, "<h1>Shadowed</h1>");
 
   // Custom 404
   await fs.writeFile(`${siteDir}/404.html`, "<h1>Custom 404</h1>");
@@ -156,6 +499,9 @@ export function get(req) {
       NODE_ENV: "development",
       BUNPAAS_DATA_DIR: TEST_DATA_DIR,
       BUNPAAS_PORT: String(PORT),
+      BUNPAAS_MASTER_KEY: MASTER_KEY,
+      BUNPAAS_FUNCTION_MEMORY_MB: "128",
+      BUNPAAS_MAX_DEPLOY_BYTES: String(1024 * 1024),
     },
     stdout: "ignore",
     stderr: "ignore",
@@ -195,18 +541,18 @@ describe("Health Check", () => {
   });
 
   test("caddy-check requires domain", async () => {
-    const res = await fetch(`http://localhost:${PORT}/caddy-check`);
+    const res = await serverFetch(`/caddy-check`);
     expect(res.status).toBe(400);
   });
 
   test("caddy-check allows enabled site", async () => {
-    const res = await fetch(`http://localhost:${PORT}/caddy-check?domain=${TEST_HOST}`);
+    const res = await serverFetch(`/caddy-check?domain=${TEST_HOST}`);
     expect(res.status).toBe(200);
   });
 
   test("caddy-check rejects disabled or unknown site", async () => {
-    const disabled = await fetch(`http://localhost:${PORT}/caddy-check?domain=disabled-site.localhost`);
-    const missing = await fetch(`http://localhost:${PORT}/caddy-check?domain=unknown.localhost`);
+    const disabled = await serverFetch(`/caddy-check?domain=disabled-site.localhost`);
+    const missing = await serverFetch(`/caddy-check?domain=unknown.localhost`);
     expect(disabled.status).toBe(404);
     expect(missing.status).toBe(404);
   });
@@ -283,8 +629,8 @@ describe("Functions", () => {
     expect(body.received.name).toBe("test");
   });
 
-  test("handles malformed JSON body as null", async () => {
-    const res = await fetch(`http://localhost:${PORT}/hello`, {
+  test("rejects a malformed JSON body with 400", async () => {
+    const res = await serverFetch(`/hello`, {
       method: "POST",
       headers: {
         Host: TEST_HOST,
@@ -292,8 +638,8 @@ describe("Functions", () => {
       },
       body: "{ bad-json",
     });
-    const body = await res.json();
-    expect(body.received).toBeNull();
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe("Malformed JSON body");
   });
 
   test("handles default export for any method", async () => {
@@ -314,6 +660,26 @@ describe("Functions", () => {
     expect(body.userId).toBe("123");
   });
 
+  test("catch-all routes receive the remaining segments as an array", async () => {
+    const res = await request("/guides/a/b/c");
+    expect(await res.json()).toEqual({ route: "catch-all", slug: ["a", "b", "c"] });
+  });
+
+  test("prefers static routes, then [param], then catch-alls", async () => {
+    expect((await (await request("/guides/intro")).json()).route).toBe("static");
+    expect(await (await request("/guides/setup")).json()).toEqual({ route: "param", page: "setup" });
+  });
+
+  test("optional catch-all routes also match their directory", async () => {
+    expect((await (await request("/wiki")).json()).path).toEqual([]);
+    expect((await (await request("/wiki/a/b")).json()).path).toEqual(["a", "b"]);
+  });
+
+  test("picks between matching [param] directories by name", async () => {
+    const res = await request("/pick/7/item");
+    expect((await res.json()).params).toEqual({ alpha: "7" });
+  });
+
   test("respects custom status code", async () => {
     const res = await request("/status");
     expect(res.status).toBe(201);
@@ -362,6 +728,191 @@ describe("Functions", () => {
   });
 });
 
+describe("Request Bodies", () => {
+  const post = (route, body, headers = {}) =>
+    serverFetch(route, { method: "POST", headers: { Host: TEST_HOST, ...headers }, body });
+
+  test("parses urlencoded forms, collecting repeated fields into arrays", async () => {
+    const res = await post("/hello", "name=Ada+Lovelace&tag=a&tag=b", {
+      "Content-Type": "application/x-www-form-urlencoded",
+    });
+    expect((await res.json()).received).toEqual({ name: "Ada Lovelace", tag: ["a", "b"] });
+  });
+
+  test("parses multipart uploads into fields and files", async () => {
+    const form = new FormData();
+    form.append("title", "Notes");
+    form.append("file", new File(["hello upload"], "notes.txt", { type: "text/plain" }));
+
+    const res = await post("/upload", form);
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.title).toBe("Notes");
+    expect(body.name).toBe("notes.txt");
+    expect(body.type).toStartWith("text/plain");
+    expect(body.size).toBe(12);
+    expect(body.text).toBe("hello upload");
+  });
+
+  test("rejects a malformed multipart body with 400", async () => {
+    const res = await post("/upload", "not multipart", { "Content-Type": "multipart/form-data; boundary=xyz" });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe("Malformed multipart body");
+  });
+
+  test("enforces the site's bodyLimit with 413", async () => {
+    const res = await post("/hello", "x".repeat(5000), { "Content-Type": "text/plain" });
+    expect(res.status).toBe(413);
+  });
+
+  test("counts chunked bodies without a Content-Length", async () => {
+    const chunk = new TextEncoder().encode("x".repeat(1000));
+    const stream = new ReadableStream({
+      start(controller) {
+        for (let i = 0; i < 5; i++) controller.enqueue(chunk);
+        controller.close();
+      },
+    });
+    const res = await post("/hello", stream, { "Content-Type": "text/plain" });
+    expect(res.status).toBe(413);
+  });
+
+  test("a function's config.bodyLimit overrides the site's", async () => {
+    const upload = (size) => {
+      const form = new FormData();
+      form.append("title", "Big");
+      form.append("file", new File(["x".repeat(size)], "big.txt"));
+      return post("/upload", form);
+    };
+
+    const res = await upload(10 * 1024);
+    expect(res.status).toBe(200);
+    expect((await res.json()).size).toBe(10 * 1024);
+
+    expect((await upload(100 * 1024)).status).toBe(413);
+  });
+});
+
+describe("Function Isolation", () => {
+  const ISOLATED_HOST = "isolated.localhost";
+
+  test("a runaway function times out without blocking other requests", async () => {
+    let spinDone = false;
+    const spin = request("/spin", { host: ISOLATED_HOST }).then((res) => {
+      spinDone = true;
+      return res;
+    });
+    await Bun.sleep(50);
+
+    const res = await request("/hello");
+    expect(res.status).toBe(200);
+    expect(spinDone).toBe(false);
+
+    expect((await spin).status).toBe(504);
+  });
+
+  test("replaces a runner after a timeout", async () => {
+    expect((await request("/spin", { host: ISOLATED_HOST })).status).toBe(504);
+    const res = await request("/env", { host: ISOLATED_HOST });
+    expect(res.status).toBe(200);
+  });
+
+  test("requests waiting for a busy runner share the function timeout", async () => {
+    // One more request than there are runners, so the last one queues
+    const start = Date.now();
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => request("/spin", { host: ISOLATED_HOST })),
+    );
+    expect(responses.map((res) => res.status)).toEqual([504, 504, 504, 504, 504]);
+    expect(Date.now() - start).toBeLessThan(1800);
+  });
+
+  test("returns 500 when the function process crashes, then recovers", async () => {
+    const res = await request("/crash", { host: ISOLATED_HOST });
+    expect(res.status).toBe(500);
+    expect((await request("/env", { host: ISOLATED_HOST })).status).toBe(200);
+  });
+
+  test("kills functions over the memory limit", async () => {
+    const res = await request("/hog", { host: ISOLATED_HOST });
+    expect(res.status).toBe(500);
+    expect((await request("/env", { host: ISOLATED_HOST })).status).toBe(200);
+  });
+
+  test("kills runners that keep using CPU between requests", async () => {
+    expect((await request("/linger", { host: ISOLATED_HOST })).status).toBe(200);
+    await Bun.sleep(1500);
+
+    // The spinning runner would be reused next (and time out) if it were still alive
+    const res = await request("/env", { host: ISOLATED_HOST });
+    expect(res.status).toBe(200);
+  });
+
+  test("functions don't see the server's environment", async () => {
+    const res = await request("/env", { host: ISOLATED_HOST });
+    const body = await res.json();
+    expect(body.masterKey).toBeNull();
+  });
+});
+
+describe("Middleware", () => {
+  const MIDDLEWARE_HOST = "middleware.localhost";
+
+  test("enriches req and post-processes the response", async () => {
+    const res = await request("/whoami", { host: MIDDLEWARE_HOST, headers: { "X-User": "ada" } });
+    expect(res.status).toBe(200);
+    expect((await res.json()).user).toBe("ada");
+    expect(res.headers.get("x-middleware")).toBe("root");
+  });
+
+  test("short-circuits with its own response", async () => {
+    const res = await request("/whoami", { host: MIDDLEWARE_HOST, headers: { "X-Block": "1" } });
+    expect(res.status).toBe(403);
+    expect((await res.json()).error).toBe("Blocked");
+  });
+
+  test("nested middleware runs after its parents for routes below it", async () => {
+    expect((await request("/admin/stats", { host: MIDDLEWARE_HOST })).status).toBe(401);
+
+    const res = await request("/admin/stats", { host: MIDDLEWARE_HOST, headers: { "X-User": "ada" } });
+    expect(res.status).toBe(200);
+    expect((await res.json()).visits).toBe(42);
+    expect(res.headers.get("x-admin")).toBe("yes");
+    expect(res.headers.get("x-middleware")).toBe("root");
+  });
+
+  test("runs before static files when enabled", async () => {
+    const res = await request("/", { host: MIDDLEWARE_HOST });
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe("<h1>Home</h1>");
+    expect(res.headers.get("x-middleware")).toBe("root");
+    expect(res.headers.get("content-type")).toContain("text/html");
+
+    expect((await request("/", { host: MIDDLEWARE_HOST, headers: { "X-Block": "1" } })).status).toBe(403);
+    expect((await request("/admin/page.html", { host: MIDDLEWARE_HOST })).status).toBe(401);
+  });
+
+  test("guards a directory index with the directory's middleware", async () => {
+    expect((await request("/admin", { host: MIDDLEWARE_HOST })).status).toBe(401);
+    expect((await request("/admin/", { host: MIDDLEWARE_HOST, redirect: "manual" })).status).toBe(301);
+
+    const res = await request("/admin", { host: MIDDLEWARE_HOST, headers: { "X-User": "ada" } });
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe("<h1>Dashboard</h1>");
+    expect(res.headers.get("x-admin")).toBe("yes");
+  });
+
+  test("middleware files are not routes", async () => {
+    const res = await request("/_middleware", { host: MIDDLEWARE_HOST, headers: { "X-User": "ada" } });
+    expect(res.status).toBe(404);
+  });
+
+  test("does not run for static files by default", async () => {
+    const res = await request("/");
+    expect(res.headers.get("x-middleware")).toBeNull();
+  });
+});
+
 describe("CORS", () => {
   test("adds CORS header for allowed origin", async () => {
     const res = await request("/", { headers: { Origin: "http://allowed.com" } });
@@ -500,6 +1051,60 @@ describe("Trailing Slash Normalization", () => {
     const res = await request("/");
     expect(res.status).toBe(200);
   });
+
+  test("uses 308 for non-GET requests", async () => {
+    const res = await request("/about/", { method: "POST", redirect: "manual" });
+    expect(res.status).toBe(308);
+  });
+
+  test("add policy redirects extensionless paths to the slash form", async () => {
+    const host = "slash-add.localhost";
+    const res = await request("/docs?tab=1", { host, redirect: "manual" });
+    expect(res.status).toBe(301);
+    expect(new URL(res.headers.get("Location")).pathname + new URL(res.headers.get("Location")).search).toBe("/docs/?tab=1");
+
+    expect(await (await request("/docs/", { host })).text()).toBe("<h1>Docs</h1>");
+    expect(await (await request("/guide/", { host })).text()).toBe("<h1>Guide</h1>");
+    expect((await request("/style.css", { host, redirect: "manual" })).status).toBe(200);
+  });
+
+  test("never redirects to another host", async () => {
+    const strip = await request("//evil.com/", { redirect: "manual" });
+    expect(strip.status).toBe(301);
+    expect(new URL(strip.headers.get("Location")).hostname).toBe(TEST_HOST);
+    expect(new URL(strip.headers.get("Location")).pathname).toBe("/evil.com");
+
+    const add = await request("//evil.com/x", { host: "slash-add.localhost", redirect: "manual" });
+    expect(add.status).toBe(301);
+    expect(new URL(add.headers.get("Location")).hostname).toBe("slash-add.localhost");
+    expect(new URL(add.headers.get("Location")).pathname).toBe("/evil.com/x/");
+  });
+
+  test("add policy serves extensionless files without redirecting", async () => {
+    const host = "slash-add.localhost";
+    const license = await request("/LICENSE", { host, redirect: "manual" });
+    expect(license.status).toBe(200);
+    expect(await license.text()).toBe("MIT");
+    expect((await request("/.well-known/apple-app-site-association", { host, redirect: "manual" })).status).toBe(200);
+  });
+
+  test("add policy routes slash paths to index functions", async () => {
+    const res = await request("/users/", { host: "slash-add.localhost" });
+    expect(await res.text()).toBe("users/index.js");
+  });
+
+  test("ignore policy serves both forms without redirecting", async () => {
+    const host = "slash-ignore.localhost";
+    expect(await (await request("/docs", { host, redirect: "manual" })).text()).toBe("<h1>Docs</h1>");
+    expect(await (await request("/docs/", { host, redirect: "manual" })).text()).toBe("<h1>Docs</h1>");
+    expect(await (await request("/users", { host })).text()).toBe("users.js");
+  });
+
+  test("prettyUrls can be turned off", async () => {
+    const host = "slash-ignore.localhost";
+    expect((await request("/guide", { host })).status).toBe(404);
+    expect((await request("/guide.html", { host })).status).toBe(200);
+  });
 });
 
 describe("Security Headers", () => {
@@ -530,6 +1135,17 @@ describe("Redirects", () => {
     expect(res.status).toBe(301);
   });
 
+  test("records _redirects problems in the site's deploy log", async () => {
+    const host = "slash-ignore.localhost";
+    expect((await request("/fine", { host, redirect: "manual" })).status).toBe(301);
+
+    const res = await serverFetch(`/_bunpaas/api/v1/sites/${host}/logs/deploys`, { headers: { "X-API-Key": "ak_test" } });
+    const { logs } = await res.json();
+    const entry = logs.find((log) => log.action === "load-redirects");
+    expect(entry.status).toBe("error");
+    expect(entry.errors).toEqual([{ file: "_redirects", line: 2, message: expect.any(String) }]);
+  });
+
   test("redirects with custom status code", async () => {
     const res = await request("/temp", { redirect: "manual" });
     expect(res.status).toBe(302);
@@ -539,12 +1155,1296 @@ describe("Redirects", () => {
     const res = await request("/blog/my-post", { redirect: "manual" });
     expect(res.headers.get("location")).toContain("/posts/my-post");
   });
-});
 
-describe("Custom Error Pages", () => {
-  test("serves custom 404.html", async () => {
-    const res = await request("/nonexistent-page");
-    const body = await res.text();
-    expect(body).toContain("Custom 404");
+  test("fills in named parameters", async () => {
+    const res = await request("/members/42", { redirect: "manual" });
+    expect(res.headers.get("location")).toBe("/profile?id=42");
+  });
+
+  test("appends the original query string", async () => {
+    const res = await request("/old-page?ref=mail", { redirect: "manual" });
+    expect(res.headers.get("location")).toBe("/new-page?ref=mail");
+
+    const dropped = await request("/drop-query?ref=mail", { redirect: "manual" });
+    expect(dropped.headers.get("location")).toBe("/new-page");
+  });
+
+  test("matches query parameters", async () => {
+    const res = await request("/search?q=shoes", { redirect: "manual" });
+    expect(res.status).toBe(302);
+    expect(res.headers.get("location")).toBe("/find/shoes?q=shoes");
+
+    expect((await request("/shop?type=sale", { redirect: "manual" })).status).toBe(302);
+    expect((await request("/shop?type=new", { redirect: "manual" })).status).toBe(404);
+    expect((await request("/search", { redirect: "manual" })).status).toBe(404);
+  });
+
+  test("existing files win over rules without !", async () => {
+    const res = await request("/about", { redirect: "manual" });
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe("<h1>About</h1>");
+  });
+
+  test("forced rules apply even when a file exists", async () => {
+    const res = await request("/shadowed.html");
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe("<h1>About</h1>");
+  });
+
+  test("200 rewrites to a static file without redirecting", async () => {
+    const res = await request("/guide", { redirect: "manual" });
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe("<h1>Docs</h1>");
+  });
+
+  test("matches the first rule in file order across thousands of rules", async () => {
+    const rules = Array.from({ length: 5000 }, (_, i) => `/legacy/page-${i} /pages/${i}`);
+    rules.splice(10, 0, "/legacy/* /archive/:splat 302");
+    const archive = await makeArchive({ "index.html": "<h1>Home</h1>", "_redirects": rules.join("\n") });
+    expect((await deployArchive(archive)).status).toBe(201);
+
+    const early = await request("/legacy/page-3", { host: DEPLOY_HOST, redirect: "manual" });
+    expect(early.headers.get("location")).toBe("/pages/3");
+
+    const late = await request("/legacy/page-4999", { host: DEPLOY_HOST, redirect: "manual" });
+    expect(late.status).toBe(302);
+    expect(late.headers.get("location")).toBe("/archive/page-4999");
+  });
+
+  test("picks up edits to _redirects in dev", async () => {
+    const redirectsPath = `${TEST_DATA_DIR}/sites/${TEST_HOST}/current/_redirects`;
+    const original = await fs.readFile(redirectsPath, "utf8");
+    try {
+      await fs.writeFile(redirectsPath, original + "/fresh-rule /fresh 302\n");
+      const res = await request("/fresh-rule", { redirect: "manual" });
+      expect(res.headers.get("location")).toBe("/fresh");
+    } finally {
+      await fs.writeFile(redirectsPath, original);
+    }
+  });
+
+  test("200 rewrites to a function", async () => {
+    const res = await request("/api/user/7");
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ userId: "7" });
+  });
+});
+
+describe("Custom Error Pages", () => {
+  test("serves custom 404.html", async () => {
+    const res = await request("/nonexistent-page");
+    const body = await res.text();
+    expect(body).toContain("Custom 404");
+  });
+});
+
+describe("Route Table", () => {
+  const routesUrl = `/_bunpaas/api/v1/sites/${TEST_HOST}/routes`;
+
+  test("lists function routes in match order", async () => {
+    const res = await serverFetch(routesUrl, { headers: { "X-Deploy-Key": "dk_test123" } });
+    expect(res.status).toBe(200);
+    const { routes } = await res.json();
+
+    expect(routes).toContainEqual({ route: "/users/:id", file: "users/[id]/index.js", middleware: [] });
+    const guides = routes.filter((r) => r.route.startsWith("/guides/")).map((r) => r.route);
+    expect(guides).toEqual(["/guides/intro", "/guides/:page", "/guides/:slug+"]);
+    expect(routes.find((r) => r.file === "wiki/[[...path]].js").route).toBe("/wiki/:path*");
+  });
+
+  test("requires a deploy key", async () => {
+    expect((await serverFetch(routesUrl)).status).toBe(401);
+  });
+
+  test("returns 404 for an unknown release", async () => {
+    const res = await serverFetch(`${routesUrl}?release=20000101000000-missing`, { headers: { "X-Deploy-Key": "dk_test123" } });
+    expect(res.status).toBe(404);
+  });
+
+  test("picks up added and removed function files in dev", async () => {
+    const file = `${TEST_DATA_DIR}/sites/${TEST_HOST}/current/_functions/guides/extra/new.js`;
+    expect((await (await request("/guides/extra/new")).json()).route).toBe("catch-all");
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, `export function get() { return { body: { route: "new" } }; }`);
+    expect((await (await request("/guides/extra/new")).json()).route).toBe("new");
+
+    await fs.rm(path.dirname(file), { recursive: true });
+    expect((await (await request("/guides/extra/new")).json()).route).toBe("catch-all");
+  });
+});
+
+describe("Deploys", () => {
+  test("rejects missing or wrong deploy key", async () => {
+    const archive = await makeArchive({ "index.html": "<h1>Nope</h1>" });
+    const res = await deployArchive(archive, { key: "dk_wrong" });
+    expect(res.status).toBe(401);
+  });
+
+  test("rejects uploads over the size limit while streaming", async () => {
+    const chunk = new Uint8Array(64 * 1024);
+    const stream = new ReadableStream({
+      start(controller) {
+        for (let i = 0; i < 20; i++) controller.enqueue(chunk);
+        controller.close();
+      },
+    });
+    const res = await deployArchive(stream);
+    expect(res.status).toBe(413);
+  });
+
+  test("rejects unsupported archive format", async () => {
+    const res = await deployArchive(new TextEncoder().encode("not an archive"));
+    expect(res.status).toBe(400);
+  });
+
+  test("deploys a tar.gz archive and serves it", async () => {
+    const archive = await makeArchive({ "index.html": "<h1>Release One</h1>" });
+    const res = await deployArchive(archive);
+    expect(res.status).toBe(201);
+    const result = await res.json();
+    expect(result.deployId).toBeTruthy();
+    expect(result.files).toBe(1);
+
+    const page = await request("/", { host: DEPLOY_HOST });
+    expect(await page.text()).toContain("Release One");
+  });
+
+  test("activates releases with a symlink swap", async () => {
+    const archive = await makeArchive({ "index.html": "<h1>Release Two</h1>" }, "zip");
+    const res = await deployArchive(archive);
+    const { deployId } = await res.json();
+
+    const current = `${TEST_DATA_DIR}/sites/${DEPLOY_HOST}/current`;
+    expect((await fs.lstat(current)).isSymbolicLink()).toBe(true);
+    expect(await fs.readlink(current)).toBe(path.join("deploys", deployId));
+
+    const page = await request("/", { host: DEPLOY_HOST });
+    expect(await page.text()).toContain("Release Two");
+  });
+
+  test("updates lastDeploy in sites.json", async () => {
+    const data = JSON.parse(await fs.readFile(`${TEST_DATA_DIR}/sites.json`, "utf8"));
+    expect(data.sites[DEPLOY_HOST].lastDeploy).toBeTruthy();
+  });
+});
+
+describe("Releases", () => {
+  test("lists releases with metadata, newest first", async () => {
+    const releases = await listReleases();
+    expect(releases.length).toBeGreaterThanOrEqual(2);
+    expect(releases[0].active).toBe(true);
+    expect(releases[0].deployedBy).toBe("ci");
+    expect(releases[0].files).toBe(1);
+    expect(releases[0].size).toBeGreaterThan(0);
+  });
+
+  test("rolls back to a previous release", async () => {
+    const [latest, previous] = await listReleases();
+    const res = await serverFetch(`/_bunpaas/api/v1/sites/${DEPLOY_HOST}/deploys/${previous.id}/activate`, {
+      method: "POST",
+      headers: { "X-Deploy-Key": "dk_deploy" },
+    });
+    expect(res.status).toBe(200);
+
+    const page = await request("/", { host: DEPLOY_HOST });
+    expect(await page.text()).toContain("Release One");
+
+    const releases = await listReleases();
+    expect(releases.find(r => r.active).id).toBe(previous.id);
+    expect(releases.find(r => r.id === latest.id).active).toBe(false);
+  });
+
+  test("returns 404 rolling back to an unknown release", async () => {
+    const res = await serverFetch(`/_bunpaas/api/v1/sites/${DEPLOY_HOST}/deploys/..%2F..%2Fetc/activate`, {
+      method: "POST",
+      headers: { "X-Deploy-Key": "dk_deploy" },
+    });
+    expect(res.status).toBe(404);
+  });
+
+  test("prunes releases beyond keepReleases", async () => {
+    for (let i = 0; i < 3; i++) {
+      await deployArchive(await makeArchive({ "index.html": `<h1>Release ${i + 3}</h1>` }));
+    }
+    const releases = await listReleases();
+    expect(releases.length).toBe(3);
+    expect(releases[0].active).toBe(true);
+  });
+  test("migrates a legacy current/ directory as an older release", async () => {
+    const host = "legacy-site.localhost";
+    const current = `${TEST_DATA_DIR}/sites/${host}/current`;
+    await fs.mkdir(current, { recursive: true });
+    await fs.writeFile(`${current}/index.html`, "<h1>Legacy</h1>");
+    await fs.utimes(current, new Date("2020-01-02T03:04:05Z"), new Date("2020-01-02T03:04:05Z"));
+
+    const res = await deployArchive(await makeArchive({ "index.html": "<h1>First Release</h1>" }), { host, key: "dk_legacy" });
+    const { deployId } = await res.json();
+
+    // keepReleases: 1, so the legacy release is pruned rather than kept as the newest
+    const releases = await (await serverFetch(`/_bunpaas/api/v1/sites/${host}/deploys`, {
+      headers: { "X-Deploy-Key": "dk_legacy" },
+    })).json();
+    expect(releases.releases.map(r => r.id)).toEqual([deployId]);
+    expect(await (await request("/", { host })).text()).toContain("First Release");
+  });
+});
+
+describe("Preview Deploys", () => {
+  let preview;
+
+  beforeAll(async () => {
+    const archive = await makeArchive({ "index.html": "<h1>Preview Build</h1>" });
+    const res = await deployArchive(archive, { query: "?preview=true&expiresIn=3600" });
+    preview = await res.json();
+  });
+
+  test("does not touch current", async () => {
+    expect(preview.preview).toBe(true);
+    expect(preview.previewHost).toBe(`${preview.deployId}--${DEPLOY_HOST}`);
+    const page = await request("/", { host: DEPLOY_HOST });
+    expect(await page.text()).not.toContain("Preview Build");
+  });
+
+  test("serves the release at its preview host", async () => {
+    const page = await request("/", { host: preview.previewHost });
+    expect(page.status).toBe(200);
+    expect(await page.text()).toContain("Preview Build");
+  });
+
+  test("caddy-check approves live previews only", async () => {
+    const live = await serverFetch(`/caddy-check?domain=${preview.previewHost}`);
+    const bogus = await serverFetch(`/caddy-check?domain=nope--${DEPLOY_HOST}`);
+    expect(live.status).toBe(200);
+    expect(bogus.status).toBe(404);
+  });
+
+  test("returns 404 for expired previews", async () => {
+    const archive = await makeArchive({ "index.html": "<h1>Stale</h1>" });
+    const res = await deployArchive(archive, { query: "?preview=true" });
+    const { deployId, previewHost } = await res.json();
+
+    const metaPath = `${TEST_DATA_DIR}/sites/${DEPLOY_HOST}/deploys/${deployId}.json`;
+    const meta = JSON.parse(await fs.readFile(metaPath, "utf8"));
+    await fs.writeFile(metaPath, JSON.stringify({ ...meta, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+
+    const page = await request("/", { host: previewHost });
+    expect(page.status).toBe(404);
+  });
+
+  test("promotes a preview to production without re-uploading", async () => {
+    const res = await serverFetch(`/_bunpaas/api/v1/sites/${DEPLOY_HOST}/deploys/${preview.deployId}/activate`, {
+      method: "POST",
+      headers: { "X-Deploy-Key": "dk_deploy" },
+    });
+    expect(res.status).toBe(200);
+    expect((await res.json()).preview).toBeUndefined();
+
+    const page = await request("/", { host: DEPLOY_HOST });
+    expect(await page.text()).toContain("Preview Build");
+  });
+});
+
+describe("Incremental Deploys", () => {
+  const api = `/_bunpaas/api/v1/sites/${DEPLOY_HOST}`;
+  const headers = { "X-Deploy-Key": "dk_deploy", "Content-Type": "application/json" };
+  const sha256 = (content) => new Bun.CryptoHasher("sha256").update(content).digest("hex");
+
+  const index = "<h1>Incremental</h1>";
+  const style = "body { color: blue; }";
+  const files = { "index.html": sha256(index), "css/style.css": sha256(style) };
+
+  test("reports missing blobs for a manifest", async () => {
+    const res = await serverFetch(`${api}/deploys/manifest`, { method: "POST", headers, body: JSON.stringify({ files }) });
+    const { missing } = await res.json();
+    expect(missing.sort()).toEqual(Object.values(files).sort());
+  });
+
+  test("rejects deploys with missing blobs", async () => {
+    const res = await serverFetch(`${api}/deploys`, { method: "POST", headers, body: JSON.stringify({ files }) });
+    expect(res.status).toBe(409);
+    expect((await res.json()).missing.length).toBe(2);
+  });
+
+  test("rejects blobs whose content does not match the hash", async () => {
+    const res = await serverFetch(`${api}/blobs/${files["index.html"]}`, {
+      method: "PUT",
+      headers: { "X-Deploy-Key": "dk_deploy" },
+      body: "tampered",
+    });
+    expect(res.status).toBe(400);
+  });
+
+  test("uploads only missing blobs and deploys from hardlinks", async () => {
+    for (const content of [index, style]) {
+      const res = await serverFetch(`${api}/blobs/${sha256(content)}`, {
+        method: "PUT",
+        headers: { "X-Deploy-Key": "dk_deploy" },
+        body: content,
+      });
+      expect(res.status).toBe(201);
+    }
+
+    const check = await serverFetch(`${api}/deploys/manifest`, { method: "POST", headers, body: JSON.stringify({ files }) });
+    expect((await check.json()).missing).toEqual([]);
+
+    const res = await serverFetch(`${api}/deploys`, { method: "POST", headers, body: JSON.stringify({ files }) });
+    expect(res.status).toBe(201);
+    const { deployId, files: count } = await res.json();
+    expect(count).toBe(2);
+
+    const stat = await fs.stat(`${TEST_DATA_DIR}/sites/${DEPLOY_HOST}/deploys/${deployId}/index.html`);
+    expect(stat.nlink).toBe(2);
+
+    const page = await request("/css/style.css", { host: DEPLOY_HOST });
+    expect(await page.text()).toBe(style);
+  });
+
+  test("authenticated uploads from one client aren't rate limited", async () => {
+    const statuses = [];
+    for (let i = 0; i < 120; i++) {
+      const content = `blob ${i}`;
+      const res = await serverFetch(`${api}/blobs/${sha256(content)}`, {
+        method: "PUT",
+        headers: { "X-Deploy-Key": "dk_deploy", "X-Forwarded-For": "ci-runner" },
+        body: content,
+      });
+      statuses.push(res.status);
+    }
+    expect(statuses.every((status) => status === 201 || status === 200)).toBe(true);
+  });
+
+  test("failed API authentication is rate limited", async () => {
+    const statuses = [];
+    for (let i = 0; i < 105; i++) {
+      const res = await serverFetch(`${api}/deploys`, { headers: { "X-Deploy-Key": "wrong", "X-Forwarded-For": "key-guesser" } });
+      statuses.push(res.status);
+    }
+    expect(statuses.slice(0, 100).every((status) => status === 401)).toBe(true);
+    expect(statuses.slice(100).every((status) => status === 429)).toBe(true);
+  });
+
+  test("rejects blob and release calls for unknown or escaping hosts", async () => {
+    const content = "escape";
+    for (const host of ["..%2F..%2Fescape", "missing.localhost"]) {
+      const base = `/_bunpaas/api/v1/sites/${host}`;
+      const apiHeaders = { "X-API-Key": "ak_test", "Content-Type": "application/json" };
+      expect((await serverFetch(`${base}/blobs/${sha256(content)}`, { method: "PUT", headers: apiHeaders, body: content })).status).toBe(404);
+      expect((await serverFetch(`${base}/deploys/manifest`, { method: "POST", headers: apiHeaders, body: JSON.stringify({ files }) })).status).toBe(404);
+      expect((await serverFetch(`${base}/deploys`, { headers: apiHeaders })).status).toBe(404);
+    }
+    expect(await Bun.file(`${TEST_DATA_DIR}/escape`).exists()).toBe(false);
+  });
+
+  test("rejects manifest paths outside the release", async () => {
+    const res = await serverFetch(`${api}/deploys`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ files: { "../escape.html": files["index.html"] } }),
+    });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("Deploy Validation", () => {
+  test("rejects an invalid site.json without activating", async () => {
+    const before = await fs.readlink(`${TEST_DATA_DIR}/sites/${DEPLOY_HOST}/current`);
+    const archive = await makeArchive({
+      "index.html": "<h1>Broken</h1>",
+      "site.json": "{ not json",
+    });
+    const res = await deployArchive(archive);
+    expect(res.status).toBe(422);
+    const report = await res.json();
+    expect(report.errors[0].file).toBe("site.json");
+    expect(await fs.readlink(`${TEST_DATA_DIR}/sites/${DEPLOY_HOST}/current`)).toBe(before);
+  });
+
+  test("reports site.json schema errors", async () => {
+    const archive = await makeArchive({
+      "site.json": JSON.stringify({ functionTimeout: "soon", cors: { origins: "*" } }),
+    });
+    const report = await (await deployArchive(archive)).json();
+    const messages = report.errors.map(e => e.message);
+    expect(messages).toContain('"functionTimeout" must be a positive number');
+    expect(messages).toContain('"cors.origins" must be an array of strings');
+  });
+
+  test("rejects SPA fallbacks outside the site or on blocked paths", async () => {
+    for (const [fallback, message] of [
+      ["/../../../sites.json", '"spa.fallback" must not contain ".."'],
+      ["/_functions/secret.js", '"spa.fallback" must not be a blocked path'],
+      ["//./site.json", '"spa.fallback" must not be a blocked path'],
+    ]) {
+      const archive = await makeArchive({ "site.json": JSON.stringify({ spa: { fallback } }) });
+      const report = await (await deployArchive(archive)).json();
+      expect(report.errors).toEqual([{ file: "site.json", message }]);
+    }
+  });
+
+  test("reports bad _redirects lines with line numbers", async () => {
+    const archive = await makeArchive({ "_redirects": "/ok /fine\n/missing-target\n/x /y 999\n" });
+    const report = await (await deployArchive(archive)).json();
+    expect(report.errors.map(e => e.line)).toEqual([2, 3]);
+  });
+
+  test("reports bad _headers lines with line numbers", async () => {
+    const archive = await makeArchive({ "_headers": "  X-Orphan: 1\n/ok\n  X-Fine: yes\n  not a header\n" });
+    const report = await (await deployArchive(archive)).json();
+    expect(report.errors.map(e => [e.file, e.line])).toEqual([["_headers", 1], ["_headers", 4]]);
+  });
+
+  test("reports function modules that fail to load", async () => {
+    const archive = await makeArchive({
+      "_functions/ok.js": "export function get() { return { body: 'ok' }; }",
+      "_functions/broken.js": "export function get( {",
+    });
+    const report = await (await deployArchive(archive)).json();
+    expect(report.errors.length).toBe(1);
+    expect(report.errors[0].file).toBe("_functions/broken.js");
+  });
+
+  test("loads function modules outside the server process", async () => {
+    const archive = await makeArchive({
+      "_functions/peek.js": "if (process.env.BUNPAAS_MASTER_KEY) throw new Error('saw the master key'); export function get() {}",
+    });
+    const res = await deployArchive(archive);
+    expect(res.status).toBe(201);
+  });
+
+  test("validates function config", async () => {
+    const archive = await makeArchive({
+      "_functions/upload.js": "export const config = { bodyLimit: -1 }; export function post() {}",
+    });
+    const report = await (await deployArchive(archive)).json();
+    expect(report.errors).toEqual([
+      { file: "_functions/upload.js", message: '"config.bodyLimit" must be a positive integer (bytes)' },
+    ]);
+  });
+
+  test("requires middleware to export a default function", async () => {
+    const archive = await makeArchive({
+      "_functions/_middleware.js": "export function get() {}",
+    });
+    const report = await (await deployArchive(archive)).json();
+    expect(report.errors).toEqual([
+      { file: "_functions/_middleware.js", message: "Middleware must export a default function" },
+    ]);
+  });
+
+  test("returns unknown site.json keys as warnings", async () => {
+    const archive = await makeArchive({
+      "index.html": "<h1>Valid</h1>",
+      "site.json": JSON.stringify({ cacheControl: "no-cache", colour: "blue" }),
+    });
+    const res = await deployArchive(archive);
+    expect(res.status).toBe(201);
+    expect((await res.json()).warnings[0].message).toContain("colour");
+  });
+
+  test("returns unreachable _redirects rules as warnings", async () => {
+    const archive = await makeArchive({ "_redirects": "/a /b\n/a /c 302\n" });
+    const res = await deployArchive(archive);
+    expect(res.status).toBe(201);
+    const { warnings } = await res.json();
+    expect(warnings).toEqual([{ file: "_redirects", line: 2, message: 'Unreachable: "/a" is already matched on line 1' }]);
+  });
+});
+
+describe("Management API", () => {
+  const api = (route, { method = "GET", body, key = "ak_test" } = {}) =>
+    serverFetch(`/_bunpaas/api/v1${route}`, {
+      method,
+      headers: { "X-API-Key": key, "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  const MANAGED_HOST = "managed-site.localhost";
+
+  test("rejects requests without a valid API key", async () => {
+    const res = await api("/sites", { key: "ak_wrong" });
+    expect(res.status).toBe(401);
+    expect((await res.json()).error).toBeTruthy();
+  });
+
+  test("returns 400 for malformed URL encoding", async () => {
+    const res = await api("/sites/%E0%A4%A/env");
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe("Invalid URL encoding");
+  });
+
+  test("returns JSON 404 for unknown routes", async () => {
+    const res = await api("/nope");
+    expect(res.status).toBe(404);
+    expect((await res.json()).error).toBe("Not found");
+  });
+
+  test("creates a site and returns its deploy key once", async () => {
+    const res = await api("/sites", { method: "POST", body: { host: MANAGED_HOST, env: { GREETING: "hi" } } });
+    expect(res.status).toBe(201);
+    const site = await res.json();
+    expect(site.host).toBe(MANAGED_HOST);
+    expect(site.deployKey).toStartWith("dk_");
+
+    const fetched = await (await api(`/sites/${MANAGED_HOST}`)).json();
+    expect(fetched.enabled).toBe(true);
+    expect(fetched.deployKey).toBeUndefined();
+  });
+
+  test("rejects duplicate and invalid hosts", async () => {
+    const duplicate = await api("/sites", { method: "POST", body: { host: MANAGED_HOST } });
+    const invalid = await api("/sites", { method: "POST", body: { host: "../../etc" } });
+    expect(duplicate.status).toBe(409);
+    expect(invalid.status).toBe(400);
+  });
+
+  test("accepts punycode hosts", async () => {
+    const res = await api("/sites", { method: "POST", body: { host: "xn--bcher-kva.localhost" } });
+    expect(res.status).toBe(201);
+    expect((await res.json()).host).toBe("xn--bcher-kva.localhost");
+  });
+
+  test("lists sites without secrets", async () => {
+    const { sites } = await (await api("/sites")).json();
+    const hosts = sites.map(s => s.host);
+    expect(hosts).toContain(TEST_HOST);
+    expect(hosts).toContain(MANAGED_HOST);
+    expect(sites.every(s => s.deployKey === undefined && s.env === undefined)).toBe(true);
+  });
+
+  test("disables and enables a site", async () => {
+    await api(`/sites/${MANAGED_HOST}/disable`, { method: "POST" });
+    expect((await request("/", { host: MANAGED_HOST })).status).toBe(503);
+
+    const res = await api(`/sites/${MANAGED_HOST}/enable`, { method: "POST" });
+    expect((await res.json()).enabled).toBe(true);
+    expect((await request("/", { host: MANAGED_HOST })).status).not.toBe(503);
+  });
+
+  test("patches env vars, removing null values", async () => {
+    const res = await api(`/sites/${MANAGED_HOST}/env`, {
+      method: "PATCH",
+      body: { env: { API_TOKEN: "abc", GREETING: null } },
+    });
+    expect((await res.json()).env).toEqual({ API_TOKEN: "********" });
+  });
+
+  test("rotates the deploy key", async () => {
+    const { deployKey } = await (await api(`/sites/${DEPLOY_HOST}/deploy-key`, { method: "POST" })).json();
+    expect(deployKey).not.toBe("dk_deploy");
+
+    const archive = await makeArchive({ "index.html": "<h1>Rotated</h1>" });
+    expect((await deployArchive(archive)).status).toBe(401);
+    expect((await deployArchive(archive, { key: deployKey })).status).toBe(201);
+
+    const data = JSON.parse(await fs.readFile(`${TEST_DATA_DIR}/sites.json`, "utf8"));
+    data.sites[DEPLOY_HOST].deployKey = "dk_deploy";
+    await fs.writeFile(`${TEST_DATA_DIR}/sites.json`, JSON.stringify(data));
+  });
+
+  test("reads deploy logs", async () => {
+    const res = await api(`/sites/${DEPLOY_HOST}/logs/deploys`);
+    const { logs } = await res.json();
+    expect(logs.length).toBeGreaterThan(0);
+    expect(logs.some(entry => entry.action === "deploy")).toBe(true);
+  });
+
+  test("deletes a site", async () => {
+    const res = await api(`/sites/${MANAGED_HOST}`, { method: "DELETE" });
+    expect((await res.json()).deleted).toBe(true);
+    expect((await api(`/sites/${MANAGED_HOST}`)).status).toBe(404);
+  });
+});
+
+describe("Site Aliases", () => {
+  test("serves the canonical site for an exact alias", async () => {
+    const res = await request("/", { host: "www.test-site.localhost" });
+    expect(res.status).toBe(200);
+    expect(await res.text()).toContain("Home");
+  });
+
+  test("serves the canonical site for a wildcard alias", async () => {
+    const res = await request("/about", { host: "customer1.wild.localhost" });
+    expect(await res.text()).toContain("About");
+  });
+
+  test("wildcard aliases match a single label only", async () => {
+    const res = await request("/", { host: "a.b.wild.localhost" });
+    expect(res.status).toBe(404);
+  });
+
+  test("caddy-check approves aliases", async () => {
+    const exact = await serverFetch("/caddy-check?domain=www.test-site.localhost");
+    const wildcard = await serverFetch("/caddy-check?domain=anything.wild.localhost");
+    expect(exact.status).toBe(200);
+    expect(wildcard.status).toBe(200);
+  });
+
+  test("redirects aliases to the canonical host when configured", async () => {
+    const res = await request("/pricing?plan=pro", { host: "www.canonical-site.localhost", redirect: "manual" });
+    expect(res.status).toBe(301);
+    expect(res.headers.get("location")).toBe("http://canonical-site.localhost/pricing?plan=pro");
+
+    const sneaky = await request("//evil.com/", { host: "www.canonical-site.localhost", redirect: "manual" });
+    expect(sneaky.headers.get("location")).toBe("http://canonical-site.localhost/evil.com/");
+  });
+
+  test("rejects aliases claimed by another site", async () => {
+    const res = await serverFetch("/_bunpaas/api/v1/sites/canonical-site.localhost", {
+      method: "PATCH",
+      headers: { "X-API-Key": "ak_test", "Content-Type": "application/json" },
+      body: JSON.stringify({ aliases: ["www.test-site.localhost"] }),
+    });
+    expect(res.status).toBe(409);
+  });
+
+  test("accepts punycode aliases", async () => {
+    const res = await serverFetch("/_bunpaas/api/v1/sites/canonical-site.localhost", {
+      method: "PATCH",
+      headers: { "X-API-Key": "ak_test", "Content-Type": "application/json" },
+      body: JSON.stringify({ aliases: ["www.canonical-site.localhost", "xn--caf-dma.localhost", "*.xn--caf-dma.localhost"] }),
+    });
+    expect(res.status).toBe(200);
+
+    const page = await request("/pricing", { host: "xn--caf-dma.localhost", redirect: "manual" });
+    expect(page.headers.get("location")).toBe("http://canonical-site.localhost/pricing");
+  });
+});
+
+describe("Encrypted Secrets", () => {
+  const readSites = async () => JSON.parse(await fs.readFile(`${TEST_DATA_DIR}/sites.json`, "utf8"));
+
+  beforeAll(async () => {
+    await serverFetch(`/_bunpaas/api/v1/sites/${TEST_HOST}/env`, {
+      method: "PATCH",
+      headers: { "X-API-Key": "ak_test", "Content-Type": "application/json" },
+      body: JSON.stringify({ env: { SECRET_TOKEN: "s3cret" } }),
+    });
+  });
+
+  test("stores env values encrypted in sites.json", async () => {
+    const { sites } = await readSites();
+    expect(sites[TEST_HOST].env.SECRET_TOKEN).toStartWith("enc:v1:");
+    expect(JSON.stringify(sites)).not.toContain("s3cret");
+  });
+
+  test("decrypts env values for functions", async () => {
+    const res = await request("/secret");
+    expect((await res.json()).token).toBe("s3cret");
+  });
+
+  test("returns masked values from the API", async () => {
+    const res = await serverFetch(`/_bunpaas/api/v1/sites/${TEST_HOST}/env`, { headers: { "X-API-Key": "ak_test" } });
+    const { env } = await res.json();
+    expect(env.SECRET_TOKEN).toBe("********");
+    expect(env.TEST_VAR).toBe("********");
+  });
+
+  test("basic auth works with encrypted credentials", async () => {
+    const { sites } = await readSites();
+    expect(sites["auth-site.localhost"].env.ADMIN_PASSWORD_HASH).toStartWith("enc:v1:");
+
+    const res = await request("/", {
+      host: "auth-site.localhost",
+      headers: { Authorization: "Basic " + btoa("admin:secret") },
+    });
+    expect(res.status).toBe(200);
+  });
+
+  test("encrypt-secrets migrates an existing sites.json", async () => {
+    const dataDir = `${TEST_DATA_DIR}/tmp/migrate`;
+    await fs.mkdir(dataDir, { recursive: true });
+    await fs.writeFile(`${dataDir}/sites.json`, JSON.stringify({
+      sites: { "plain.localhost": { enabled: true, env: { API_KEY: "plaintext" } } },
+    }));
+
+    const proc = spawn({
+      cmd: ["bun", path.resolve(import.meta.dir, "../cli.js"), "encrypt-secrets"],
+      env: { ...process.env, BUNPAAS_DATA_DIR: dataDir, BUNPAAS_MASTER_KEY: MASTER_KEY },
+      stdout: "ignore",
+      stderr: "ignore",
+    });
+    expect(await proc.exited).toBe(0);
+
+    const migrated = JSON.parse(await fs.readFile(`${dataDir}/sites.json`, "utf8"));
+    expect(migrated.sites["plain.localhost"].env.API_KEY).toStartWith("enc:v1:");
+  });
+});
+
+describe("Config Reloading", () => {
+  const sitesPath = `${TEST_DATA_DIR}/sites.json`;
+
+  test("concurrent API writes are not lost", async () => {
+    const updates = Array.from({ length: 8 }, (_, i) =>
+      serverFetch(`/_bunpaas/api/v1/sites/${DEPLOY_HOST}/env`, {
+        method: "PATCH",
+        headers: { "X-API-Key": "ak_test", "Content-Type": "application/json" },
+        body: JSON.stringify({ env: { [`CONCURRENT_${i}`]: String(i) } }),
+      })
+    );
+    for (const res of await Promise.all(updates)) {
+      expect(res.status).toBe(200);
+    }
+
+    const { sites } = JSON.parse(await fs.readFile(sitesPath, "utf8"));
+    for (let i = 0; i < 8; i++) {
+      expect(sites[DEPLOY_HOST].env[`CONCURRENT_${i}`]).toBeDefined();
+    }
+    await expect(fs.access(`${sitesPath}.lock`)).rejects.toThrow();
+  });
+
+  test("keeps the last good sites.json when an edit is malformed", async () => {
+    const good = await fs.readFile(sitesPath, "utf8");
+    try {
+      await fs.writeFile(sitesPath, "{ not json");
+      const res = await request("/");
+      expect(res.status).toBe(200);
+    } finally {
+      await fs.writeFile(sitesPath, good);
+    }
+  });
+
+  test("keeps the last good site.json when an edit is malformed", async () => {
+    const configPath = `${TEST_DATA_DIR}/sites/${TEST_HOST}/current/site.json`;
+    const good = await fs.readFile(configPath, "utf8");
+    try {
+      await request("/");
+      await fs.writeFile(configPath, "{ not json");
+      const res = await request("/");
+      expect(res.status).toBe(200);
+      expect(res.headers.get("Cache-Control")).toBe("public, max-age=7200");
+    } finally {
+      await fs.writeFile(configPath, good);
+    }
+  });
+
+  test("production picks up external sites.json edits without a restart", async () => {
+    const dataDir = `${TEST_DATA_DIR}/tmp/watch`;
+    const prodPort = PORT - 1;
+    await fs.mkdir(`${dataDir}/sites/late.localhost/current`, { recursive: true });
+    await fs.writeFile(`${dataDir}/sites/late.localhost/current/index.html`, "<h1>Late</h1>");
+    await fs.writeFile(`${dataDir}/sites.json`, JSON.stringify({ sites: {} }));
+
+    const proc = await startProductionServer(dataDir, prodPort);
+    const get = () => fetch(`http://localhost:${prodPort}/`, { headers: { Host: "late.localhost" } });
+    try {
+      expect((await get()).status).toBe(404);
+
+      await fs.writeFile(`${dataDir}/sites.json`, JSON.stringify({
+        sites: { "late.localhost": { enabled: true, deployKey: "dk_late", env: {} } },
+      }));
+      await Bun.sleep(2500);
+
+      const res = await get();
+      expect(res.status).toBe(200);
+      expect(await res.text()).toContain("Late");
+    } finally {
+      proc.kill();
+      await proc.exited;
+    }
+  });
+});
+
+describe("Graceful Reload", () => {
+  const dataDir = `${TEST_DATA_DIR}/tmp/reload`;
+  const prodPort = PORT - 2;
+  const get = (route) => fetch(`http://localhost:${prodPort}${route}`, { headers: { Host: "reload.localhost" } });
+  let proc;
+
+  beforeAll(async () => {
+    const functionsDir = `${dataDir}/sites/reload.localhost/current/_functions`;
+    await fs.mkdir(functionsDir, { recursive: true });
+    await fs.writeFile(`${functionsDir}/slow.js`, `
+export async function get() {
+  await Bun.sleep(500);
+  return { body: "finished" };
+}
+`);
+    await fs.writeFile(`${functionsDir}/events.js`, `
+export function get(req) {
+  return req.subscribe("updates");
+}
+`);
+    await fs.writeFile(`${dataDir}/sites.json`, JSON.stringify({
+      sites: { "reload.localhost": { enabled: true, deployKey: "dk_reload", env: {} } },
+    }));
+    proc = await startProductionServer(dataDir, prodPort);
+  });
+
+  afterAll(async () => {
+    proc?.kill();
+    await proc?.exited;
+  });
+
+  test("SIGUSR2 swaps workers without dropping requests", async () => {
+    const events = await get("/events");
+    const reader = events.body.getReader();
+    const decoder = new TextDecoder();
+    let stream = decoder.decode((await reader.read()).value);
+    expect(stream).toContain("retry: 1000");
+
+    const slow = get("/slow");
+    await Bun.sleep(100);
+    proc.kill("SIGUSR2");
+
+    // New requests keep being answered while the old worker drains
+    for (let i = 0; i < 10; i++) {
+      expect((await fetch(`http://localhost:${prodPort}/health`)).status).toBe(200);
+      await Bun.sleep(50);
+    }
+
+    const res = await slow;
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe("finished");
+
+    // The SSE stream gets a final retry hint, then closes
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      stream += decoder.decode(value);
+    }
+    expect(stream.match(/retry: \d+/g).length).toBe(2);
+
+    const again = await get("/events");
+    expect(again.status).toBe(200);
+    await again.body.cancel();
+    expect(proc.exitCode).toBeNull();
+  });
+});
+
+describe("Compression", () => {
+  const fetchRaw = (route, acceptEncoding, host = TEST_HOST) =>
+    serverFetch(route, {
+      headers: { Host: host, ...(acceptEncoding && { "Accept-Encoding": acceptEncoding }) },
+      decompress: false,
+    });
+
+  test("gzips compressible static files on the fly", async () => {
+    const res = await fetchRaw("/big.css", "gzip");
+    expect(res.headers.get("Content-Encoding")).toBe("gzip");
+    expect(res.headers.get("Vary")).toBe("Accept-Encoding");
+    const body = Bun.gunzipSync(new Uint8Array(await res.arrayBuffer()));
+    expect(new TextDecoder().decode(body)).toBe(".item { color: blue; }\n".repeat(200));
+  });
+
+  test("prefers brotli when accepted", async () => {
+    const res = await fetchRaw("/big.css", "gzip, br");
+    expect(res.headers.get("Content-Encoding")).toBe("br");
+  });
+
+  test("respects q=0 and missing Accept-Encoding", async () => {
+    const refused = await fetchRaw("/big.css", "br;q=0, gzip");
+    expect(refused.headers.get("Content-Encoding")).toBe("gzip");
+
+    const identity = await fetchRaw("/big.css", "identity");
+    expect(identity.headers.get("Content-Encoding")).toBeNull();
+    expect(identity.headers.get("Vary")).toBe("Accept-Encoding");
+  });
+
+  test("serves precompressed siblings", async () => {
+    const res = await fetchRaw("/bundle.js", "gzip");
+    expect(res.headers.get("Content-Encoding")).toBe("gzip");
+    expect(res.headers.get("Content-Type")).toBe("text/javascript");
+    const body = Bun.gunzipSync(new Uint8Array(await res.arrayBuffer()));
+    expect(new TextDecoder().decode(body)).toBe("console.log('precompressed');");
+
+    const plain = await fetchRaw("/bundle.js", "identity");
+    expect(await plain.text()).toBe("console.log('original');");
+  });
+
+  test("skips small files and binary types", async () => {
+    const small = await fetchRaw("/style.css", "gzip");
+    expect(small.headers.get("Content-Encoding")).toBeNull();
+
+    const image = await fetchRaw("/photo.png", "gzip");
+    expect(image.headers.get("Content-Encoding")).toBeNull();
+    expect(image.headers.get("Vary")).toBeNull();
+  });
+
+  test("gzips function responses", async () => {
+    const res = await fetchRaw("/report", "gzip, br");
+    expect(res.headers.get("Content-Encoding")).toBe("gzip");
+    expect(res.headers.get("Vary")).toBe("Accept-Encoding");
+    const body = JSON.parse(new TextDecoder().decode(Bun.gunzipSync(new Uint8Array(await res.arrayBuffer()))));
+    expect(body.rows).toHaveLength(100);
+  });
+
+  test("can be disabled in site.json", async () => {
+    const res = await fetchRaw("/big.css", "gzip", "nocompress.localhost");
+    expect(res.headers.get("Content-Encoding")).toBeNull();
+    expect(res.headers.get("Vary")).toBeNull();
+  });
+});
+
+describe("Conditional Requests", () => {
+  test("static files carry a strong ETag and Last-Modified", async () => {
+    const res = await request("/about.html");
+    expect(res.headers.get("ETag")).toMatch(/^"[0-9a-f]{32}"$/);
+    expect(Date.parse(res.headers.get("Last-Modified"))).not.toBeNaN();
+  });
+
+  test("If-None-Match returns 304", async () => {
+    const { headers } = await request("/about.html");
+    const res = await request("/about.html", { headers: { "If-None-Match": headers.get("ETag") } });
+    expect(res.status).toBe(304);
+    expect(res.headers.get("ETag")).toBe(headers.get("ETag"));
+    expect(res.headers.get("Cache-Control")).toBe("public, max-age=7200");
+    expect(await res.text()).toBe("");
+
+    const changed = await request("/about.html", { headers: { "If-None-Match": '"stale"' } });
+    expect(changed.status).toBe(200);
+  });
+
+  test("If-Modified-Since returns 304", async () => {
+    const { headers } = await request("/about.html");
+    const res = await request("/about.html", { headers: { "If-Modified-Since": headers.get("Last-Modified") } });
+    expect(res.status).toBe(304);
+
+    const old = await request("/about.html", { headers: { "If-Modified-Since": "Thu, 01 Jan 2015 00:00:00 GMT" } });
+    expect(old.status).toBe(200);
+  });
+
+  test("compressed representations get their own ETag", async () => {
+    const plain = await request("/big.css", { headers: { "Accept-Encoding": "identity" } });
+    const gzipped = await serverFetch("/big.css", { headers: { Host: TEST_HOST, "Accept-Encoding": "gzip" }, decompress: false });
+    expect(gzipped.headers.get("ETag")).toBe(plain.headers.get("ETag").replace(/"$/, '-gzip"'));
+
+    const res = await serverFetch("/big.css", {
+      headers: { Host: TEST_HOST, "Accept-Encoding": "gzip", "If-None-Match": gzipped.headers.get("ETag") },
+      decompress: false,
+    });
+    expect(res.status).toBe(304);
+    expect(res.headers.get("Vary")).toBe("Accept-Encoding");
+  });
+
+  test("functions opt in with an etag field", async () => {
+    const res = await request("/versioned");
+    expect(res.headers.get("ETag")).toBe('"v1"');
+    expect(await res.json()).toEqual({ version: 1 });
+
+    const cached = await request("/versioned", { headers: { "If-None-Match": '"v1"' } });
+    expect(cached.status).toBe(304);
+    expect(cached.headers.get("Cache-Control")).toBe("no-cache");
+  });
+
+  test("custom error pages carry validators", async () => {
+    const res = await request("/missing-page");
+    expect(res.status).toBe(404);
+    expect(res.headers.get("ETag")).toMatch(/^"[0-9a-f]{32}"$/);
+    expect(res.headers.get("Last-Modified")).toBeTruthy();
+  });
+
+  test("deployed files use the content hash recorded at deploy time", async () => {
+    const content = "<h1>Hashed at deploy</h1>";
+    const { deployId } = await (await deployArchive(await makeArchive({ "index.html": content }))).json();
+    const hash = new Bun.CryptoHasher("sha256").update(content).digest("hex");
+
+    const hashes = JSON.parse(await fs.readFile(`${TEST_DATA_DIR}/sites/${DEPLOY_HOST}/deploys/${deployId}.hashes.json`, "utf8"));
+    expect(hashes["index.html"].hash).toBe(hash);
+
+    const responses = await Promise.all([1, 2, 3].map(() => request("/", { host: DEPLOY_HOST })));
+    for (const res of responses) {
+      expect(res.headers.get("ETag")).toBe(`"${hash.slice(0, 32)}"`);
+    }
+
+    // A file edited in place is rehashed rather than keeping the recorded hash
+    await fs.writeFile(`${TEST_DATA_DIR}/sites/${DEPLOY_HOST}/deploys/${deployId}/index.html`, "<h1>Edited</h1>");
+    const edited = await request("/", { host: DEPLOY_HOST });
+    expect(edited.headers.get("ETag")).not.toBe(`"${hash.slice(0, 32)}"`);
+  });
+});
+
+describe("Range Requests", () => {
+  const clip = Uint8Array.from({ length: 1000 }, (_, i) => i % 256);
+  const bytes = async (res) => new Uint8Array(await res.arrayBuffer());
+
+  test("advertises Accept-Ranges on static responses", async () => {
+    const res = await request("/about.html");
+    expect(res.headers.get("Accept-Ranges")).toBe("bytes");
+  });
+
+  test("serves a single range", async () => {
+    const res = await request("/clip.mp4", { headers: { Range: "bytes=100-199" } });
+    expect(res.status).toBe(206);
+    expect(res.headers.get("Content-Range")).toBe("bytes 100-199/1000");
+    expect(res.headers.get("Content-Type")).toBe("video/mp4");
+    expect(await bytes(res)).toEqual(clip.slice(100, 200));
+  });
+
+  test("serves open-ended and suffix ranges", async () => {
+    const open = await request("/clip.mp4", { headers: { Range: "bytes=900-" } });
+    expect(open.headers.get("Content-Range")).toBe("bytes 900-999/1000");
+    expect(await bytes(open)).toEqual(clip.slice(900));
+
+    const suffix = await request("/clip.mp4", { headers: { Range: "bytes=-50" } });
+    expect(suffix.headers.get("Content-Range")).toBe("bytes 950-999/1000");
+    expect(await bytes(suffix)).toEqual(clip.slice(950));
+  });
+
+  test("serves multiple ranges as multipart/byteranges", async () => {
+    const res = await request("/clip.mp4", { headers: { Range: "bytes=0-9, 500-509" } });
+    expect(res.status).toBe(206);
+    const boundary = res.headers.get("Content-Type").match(/^multipart\/byteranges; boundary=(\w+)$/)[1];
+
+    const body = new TextDecoder("latin1").decode(await bytes(res));
+    expect(body).toContain(`--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 0-9/1000\r\n\r\n`);
+    expect(body).toContain("Content-Range: bytes 500-509/1000");
+    expect(body.endsWith(`\r\n--${boundary}--\r\n`)).toBe(true);
+  });
+
+  test("merges overlapping and adjacent ranges", async () => {
+    const res = await request("/clip.mp4", { headers: { Range: "bytes=50-99, 0-9, 5-19, 20-29" } });
+    expect(res.status).toBe(206);
+    const body = new TextDecoder("latin1").decode(await bytes(res));
+    expect(body).toContain("Content-Range: bytes 0-29/1000");
+    expect(body).toContain("Content-Range: bytes 50-99/1000");
+    expect(body.match(/Content-Range/g).length).toBe(2);
+
+    const single = await request("/clip.mp4", { headers: { Range: "bytes=0-9, 10-19" } });
+    expect(single.headers.get("Content-Range")).toBe("bytes 0-19/1000");
+  });
+
+  test("sends overlapping ranges once", async () => {
+    const repeated = await request("/clip.mp4", { headers: { Range: `bytes=${Array(32).fill("0-").join(",")}` } });
+    expect(repeated.status).toBe(206);
+    expect(repeated.headers.get("Content-Range")).toBe("bytes 0-999/1000");
+    expect(await bytes(repeated)).toEqual(clip);
+
+    const overlapping = await request("/clip.mp4", { headers: { Range: "bytes=0-899, 500-1200" } });
+    expect(overlapping.status).toBe(206);
+    expect(overlapping.headers.get("Content-Range")).toBe("bytes 0-999/1000");
+  });
+
+  test("returns 416 for unsatisfiable ranges", async () => {
+    const res = await request("/clip.mp4", { headers: { Range: "bytes=5000-6000" } });
+    expect(res.status).toBe(416);
+    expect(res.headers.get("Content-Range")).toBe("bytes */1000");
+  });
+
+  test("ignores malformed ranges", async () => {
+    const res = await request("/clip.mp4", { headers: { Range: "bytes=20-10" } });
+    expect(res.status).toBe(200);
+    expect((await bytes(res)).length).toBe(1000);
+  });
+
+  test("If-Range only applies the range while the validator matches", async () => {
+    const { headers } = await request("/clip.mp4");
+
+    const fresh = await request("/clip.mp4", { headers: { Range: "bytes=0-9", "If-Range": headers.get("ETag") } });
+    expect(fresh.status).toBe(206);
+
+    const stale = await request("/clip.mp4", { headers: { Range: "bytes=0-9", "If-Range": '"outdated"' } });
+    expect(stale.status).toBe(200);
+    expect((await bytes(stale)).length).toBe(1000);
+
+    const byDate = await request("/clip.mp4", { headers: { Range: "bytes=0-9", "If-Range": headers.get("Last-Modified") } });
+    expect(byDate.status).toBe(206);
+  });
+
+  test("ranges of compressible files are served uncompressed", async () => {
+    const res = await serverFetch("/big.css", {
+      headers: { Host: TEST_HOST, "Accept-Encoding": "gzip", Range: "bytes=0-5" },
+      decompress: false,
+    });
+    expect(res.status).toBe(206);
+    expect(res.headers.get("Content-Encoding")).toBeNull();
+    expect(await res.text()).toBe(".item ");
+  });
+});
+
+describe("Custom Headers", () => {
+  test("sets headers for wildcard paths", async () => {
+    const res = await request("/assets/app.css");
+    expect(res.headers.get("Cache-Control")).toBe("public, max-age=31536000, immutable");
+    expect(res.headers.get("X-Site")).toBe("test");
+  });
+
+  test("can remove default headers", async () => {
+    const res = await request("/docs");
+    expect(res.headers.get("Content-Security-Policy")).toBe("default-src 'self'");
+    expect(res.headers.get("X-Frame-Options")).toBeNull();
+    expect(res.headers.get("X-Content-Type-Options")).toBe("nosniff");
+  });
+
+  test("matches :placeholders on function responses", async () => {
+    const res = await request("/users/42");
+    expect(await res.json()).toEqual({ userId: "42" });
+    expect(res.headers.get("X-Robots-Tag")).toBe("noindex, nofollow");
+
+    const nested = await request("/users/42/extra");
+    expect(nested.headers.get("X-Robots-Tag")).toBeNull();
+  });
+
+  test("applies to error pages", async () => {
+    const res = await request("/assets/missing.css");
+    expect(res.status).toBe(404);
+    expect(res.headers.get("Cache-Control")).toBe("public, max-age=31536000, immutable");
+  });
+
+  test("is not served as a static file", async () => {
+    const res = await request("/_headers");
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("SPA Fallback", () => {
+  const html = { Accept: "text/html,application/xhtml+xml" };
+  const get = (route, headers = html) => request(route, { host: "spa-site.localhost", headers });
+
+  test("serves the app shell for client-side routes", async () => {
+    const res = await get("/dashboard/settings");
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe("<div id=app></div>");
+    expect(res.headers.get("Content-Type")).toBe("text/html");
+  });
+
+  test("only applies to requests that accept HTML", async () => {
+    const res = await get("/dashboard", { Accept: "application/json" });
+    expect(res.status).toBe(404);
+  });
+
+  test("keeps 404s for files, functions and excluded paths", async () => {
+    expect((await get("/missing.js")).status).toBe(404);
+    expect((await get("/api/unknown")).status).toBe(404);
+
+    const fn = await get("/items");
+    expect(fn.status).toBe(404);
+    expect(await fn.json()).toEqual({ error: "No items" });
+  });
+
+  test("does not apply to other methods", async () => {
+    const res = await request("/dashboard", { host: "spa-site.localhost", method: "POST", headers: html });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("Reverse Proxy", () => {
+  let upstream;
+  const host = "proxy-site.localhost";
+
+  beforeAll(() => {
+    upstream = Bun.serve({
+      port: UPSTREAM_PORT,
+      async fetch(req) {
+        const url = new URL(req.url);
+        if (url.pathname === "/v2/slow") {
+          await Bun.sleep(1000);
+          return new Response("too late");
+        }
+        if (url.pathname === "/v2/moved") {
+          return new Response(null, { status: 302, headers: { Location: "/elsewhere" } });
+        }
+        return Response.json({
+          method: req.method,
+          path: url.pathname + url.search,
+          body: await req.text(),
+          forwardedFor: req.headers.get("x-forwarded-for"),
+          forwardedHost: req.headers.get("x-forwarded-host"),
+          forwardedProto: req.headers.get("x-forwarded-proto"),
+          custom: req.headers.get("x-custom"),
+        }, { status: 201, headers: { "X-Upstream": "yes" } });
+      },
+    });
+  });
+
+  afterAll(() => upstream?.stop(true));
+
+  test("forwards method, headers, body and query with a path-prefix rewrite", async () => {
+    const res = await request("/api/items?page=2", {
+      host,
+      method: "POST",
+      headers: { "X-Custom": "1", "Content-Type": "application/json" },
+      body: { name: "widget" },
+    });
+    expect(res.status).toBe(201);
+    expect(res.headers.get("X-Upstream")).toBe("yes");
+
+    const echoed = await res.json();
+    expect(echoed.method).toBe("POST");
+    expect(echoed.path).toBe("/v2/items?page=2");
+    expect(JSON.parse(echoed.body)).toEqual({ name: "widget" });
+    expect(echoed.custom).toBe("1");
+    expect(echoed.forwardedHost).toBe(host);
+    expect(echoed.forwardedProto).toBe("http");
+    expect(echoed.forwardedFor).toContain("test-client-");
+  });
+
+  test("extends forwarding headers from a trusted proxy", async () => {
+    const res = await request("/api/items", {
+      host,
+      headers: { "X-Forwarded-For": "203.0.113.7", "X-Forwarded-Proto": "https" },
+    });
+    const echoed = await res.json();
+    // The test client connects over loopback, which is trusted by default
+    expect(echoed.forwardedFor).toMatch(/^203\.0\.113\.7, (127\.0\.0\.1|::1|::ffff:127\.0\.0\.1)$/);
+    expect(echoed.forwardedProto).toBe("https");
+  });
+
+  test("proxies _redirects rules with an absolute URL and status 200", async () => {
+    const res = await request("/legacy/report", { host });
+    expect((await res.json()).path).toBe("/old/report");
+  });
+
+  test("applies security headers, CORS and logging on top", async () => {
+    const res = await request("/api/items", { host, headers: { Origin: "http://allowed.com" } });
+    expect(res.headers.get("X-Content-Type-Options")).toBe("nosniff");
+    expect(res.headers.get("Access-Control-Allow-Origin")).toBe("http://allowed.com");
+    expect(res.headers.get("X-Request-Id")).toBeTruthy();
+  });
+
+  test("passes upstream redirects through", async () => {
+    const res = await request("/api/moved", { host, redirect: "manual" });
+    expect(res.status).toBe(302);
+    expect(res.headers.get("Location")).toBe("/elsewhere");
+  });
+
+  test("returns 504 when the upstream times out", async () => {
+    const res = await request("/api/slow", { host });
+    expect(res.status).toBe(504);
+  });
+
+  test("returns 502 when the upstream is unreachable", async () => {
+    const res = await request("/down/anything", { host });
+    expect(res.status).toBe(502);
+  });
+});
+
+describe("Conditional Redirects", () => {
+  const location = async (route, headers = {}) =>
+    (await request(route, { headers, redirect: "manual" })).headers.get("location");
+
+  test("matches the client's preferred language", async () => {
+    expect(await location("/welcome", { "Accept-Language": "fr-CH, fr;q=0.9, en;q=0.8" })).toBe("/fr/welcome");
+    expect(await location("/welcome", { "Accept-Language": "de" })).toBe("/fr/welcome");
+    expect(await location("/welcome", { "Accept-Language": "en-US, fr;q=0.5" })).toBe("/en/welcome");
+    expect(await location("/welcome")).toBe("/en/welcome");
+  });
+
+  test("sets Vary for headers that conditional rules depend on", async () => {
+    const res = await request("/welcome", { headers: { "Accept-Language": "fr" }, redirect: "manual" });
+    expect(res.headers.get("Vary")).toBe("Accept-Language");
+  });
+
+  test("matches on a cookie", async () => {
+    expect(await location("/beta-app/dashboard", { Cookie: "theme=dark; beta=1" })).toBe("/beta/dashboard");
+
+    const res = await request("/beta-app/dashboard", { redirect: "manual" });
+    expect(res.status).toBe(404);
+    expect(res.headers.get("Vary")).toBe("Cookie");
+  });
+
+  test("matches on a header value", async () => {
+    expect(await location("/staging-only", { "X-Env": "staging" })).toBe("/staging");
+    expect((await request("/staging-only", { headers: { "X-Env": "prod" }, redirect: "manual" })).status).toBe(404);
+  });
+
+  test("matches on client IP ranges", async () => {
+    expect(await location("/office", { "X-Forwarded-For": "10.20.30.40" })).toBe("/intranet");
+    expect((await request("/office", { headers: { "X-Forwarded-For": "203.0.113.9" }, redirect: "manual" })).status).toBe(404);
+  });
+
+  test("rejects invalid conditions at deploy time", async () => {
+    const archive = await makeArchive({ "_redirects": "/a /b 302 IP=10.0.0.0/99\n/c /d 302 Colour=blue\n" });
+    const report = await (await deployArchive(archive)).json();
+    expect(report.errors.map(e => e.line)).toEqual([1, 2]);
   });
 });